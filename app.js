@@ -1,19 +1,40 @@
-
 // Dream Builder Runtime - Self-contained scene renderer
-(async function() {
-  const canvas = document.getElementById('renderCanvas');
-  if (!canvas) {
-    console.error('Canvas element not found');
-    return;
-  }
+//
+// Public API (window.DreamBuilderRuntime):
+//
+//   const handle = DreamBuilderRuntime.load({ canvas, sceneUrl: 'scene.json' });
+//   handle.on('ready', () => handle.getNode('root::banana').setEnabled(false));
+//   handle.on('error', (err) => console.error(err));
+//   await handle.ready;
+//   handle.dispose();
+//
+// The exported index.html mounts itself on #renderCanvas automatically; add
+// data-autoload="false" to the canvas to drive the runtime from the host page.
+// Babylon and its decoders load from data-vendor-base-url (vendor/ by default, see
+// vendor/README.md) and fall back to the CDN when that folder is missing. data-offline-cache="true"
+// registers sw.js so the scene can be reopened without a network; data-live-reload="true"
+// polls scene.json and applies edits in place (see handle.updateSceneGraph).
+// data-bridge-origins="https://cms.example.com" lets those parent frames drive the
+// runtime over postMessage (protocol 'dreambuilder-runtime', see BRIDGE_COMMANDS).
+// Pressing P on the focused canvas downloads a PNG (data-screenshot-shortcut picks another
+// key, "false" turns it off); handle.screenshot() and handle.turntable() render stills and
+// turntable sequences or WebM clips for marketing material. sceneSettings.xr adds
+// Enter VR/AR buttons when the browser supports WebXR (see readXRSettings), and
+// scene.json `annotations` become clickable callouts (see setupAnnotations).
+(function(global) {
+  const MESH_TAG = '::mesh::';
 
-  // Make scene graph available to helper functions outside the try block scope
-  let EXPORTED_SCENE_GRAPH = null;
+  // Per-scene runtime state (scene graph, canvas, overlay), keyed by Babylon scene
+  const RUNTIMES = new WeakMap();
+
+  function getRuntime(scene) {
+    return (scene && RUNTIMES.get(scene)) || null;
+  }
 
   // Show loading
-  function showLoading(message) {
-    const overlay = document.getElementById('loadingOverlay');
-    const text = document.getElementById('loadingText');
+  function showLoading(runtime, message) {
+    const overlay = runtime.loadingOverlay;
+    const text = runtime.loadingText;
     if (overlay && text) {
       overlay.classList.remove('hidden');
       text.textContent = message;
@@ -21,23 +42,103 @@
   }
 
   // Hide loading
-  function hideLoading() {
-    const overlay = document.getElementById('loadingOverlay');
+  function hideLoading(runtime) {
+    const overlay = runtime.loadingOverlay;
     if (overlay) {
       overlay.classList.add('hidden');
     }
   }
 
   // Show error
-  function showError(message) {
-    const overlay = document.getElementById('loadingOverlay');
-    const text = document.getElementById('loadingText');
+  function showError(runtime, message) {
+    const overlay = runtime.loadingOverlay;
+    const text = runtime.loadingText;
     if (overlay && text) {
       overlay.classList.remove('hidden');
       text.innerHTML = '<div class="error"><strong>Error:</strong><br>' + message + '</div>';
     }
   }
 
+  // Per-asset download tracking for model files (keyed by resolved path), aggregated into one overall percentage
+  function createLoadProgress(graph, scene) {
+    const assets = new Map();
+    for (const node of graph.nodes) {
+      if (node.kind === 'model' && node.src) {
+        const path = resolveAssetUrl(node.src, scene);
+        if (!path) continue;
+        const name = path.split('/').pop() || node.name || node.id;
+        assets.set(path, { id: path, name, loaded: 0, total: 0, done: false, failed: false });
+      }
+    }
+    return { assets, current: null };
+  }
+
+  function getProgressSnapshot(progress) {
+    const assets = Array.from(progress.assets.values());
+    let fraction = 0;
+    let loadedBytes = 0;
+    let totalBytes = 0;
+    for (const asset of assets) {
+      loadedBytes += asset.loaded;
+      totalBytes += asset.total;
+      fraction += asset.done ? 1 : (asset.total > 0 ? Math.min(1, asset.loaded / asset.total) : 0);
+    }
+    const current = progress.current ? progress.assets.get(progress.current) : null;
+    return {
+      percent: assets.length > 0 ? Math.round((fraction / assets.length) * 100) : 100,
+      loadedBytes,
+      totalBytes,
+      completed: assets.filter(a => a.done).length,
+      count: assets.length,
+      asset: current ? { id: current.id, name: current.name, loaded: current.loaded, total: current.total } : null,
+      assets: assets.map(a => Object.assign({}, a))
+    };
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1048576) return (bytes / 1048576).toFixed(1) + ' MB';
+    if (bytes >= 1024) return Math.round(bytes / 1024) + ' KB';
+    return bytes + ' B';
+  }
+
+  // Show progress in the overlay and notify 'progress' listeners
+  function publishProgress(runtime) {
+    const snapshot = getProgressSnapshot(runtime.loadProgress);
+    let message = 'Loading models (' + snapshot.completed + '/' + snapshot.count + ') ' + snapshot.percent + '%';
+    if (snapshot.asset && !runtime.loadProgress.assets.get(snapshot.asset.id).done) {
+      message += ' - ' + snapshot.asset.name;
+      if (snapshot.asset.total > 0) {
+        message += ' (' + formatBytes(snapshot.asset.loaded) + ' / ' + formatBytes(snapshot.asset.total) + ')';
+      }
+    }
+    showLoading(runtime, message);
+    if (runtime.loadingProgress) {
+      runtime.loadingProgress.style.width = snapshot.percent + '%';
+    }
+    runtime.emit('progress', snapshot);
+  }
+
+  // SceneLoader progress callback for one model file
+  function reportAssetProgress(scene, assetPath, event) {
+    const runtime = getRuntime(scene);
+    const asset = runtime && runtime.loadProgress && runtime.loadProgress.assets.get(assetPath);
+    if (!asset || !event) return;
+    asset.loaded = event.loaded || 0;
+    asset.total = event.lengthComputable ? event.total : 0;
+    runtime.loadProgress.current = assetPath;
+    publishProgress(runtime);
+  }
+
+  function reportAssetLoaded(scene, assetPath, ok) {
+    const runtime = getRuntime(scene);
+    const asset = runtime && runtime.loadProgress && runtime.loadProgress.assets.get(assetPath);
+    if (!asset) return;
+    asset.done = true;
+    asset.failed = !ok;
+    if (asset.total > 0) asset.loaded = asset.total;
+    publishProgress(runtime);
+  }
+
   // Texture helpers for overrides
   function isTextureProperty(prop) {
     const textureProps = [
@@ -70,19 +171,292 @@
     }
   }
 
+  // Transcoder files of the KTX2/Basis decoder, served from ktx2DecoderPath instead of the Babylon CDN
+  const KTX2_TRANSCODER_FILES = {
+    jsDecoderModule: 'babylon.ktx2Decoder.js',
+    wasmUASTCToASTC: 'uastc_astc.wasm',
+    wasmUASTCToBC7: 'uastc_bc7.wasm',
+    wasmUASTCToRGBA_UNORM: 'uastc_rgba8_unorm_v2.wasm',
+    wasmUASTCToRGBA_SRGB: 'uastc_rgba8_srgb_v2.wasm',
+    wasmUASTCToR8_UNORM: 'uastc_r8_unorm.wasm',
+    wasmUASTCToRG8_UNORM: 'uastc_rg8_unorm.wasm',
+    jsMSCTranscoder: 'msc_basis_transcoder.js',
+    wasmMSCTranscoder: 'msc_basis_transcoder.wasm',
+    wasmZSTDDecoder: 'zstddec.wasm'
+  };
+
+  // KTX2 textures are transcoded in workers with WebAssembly
+  function canUseKtx2() {
+    return !!BABYLON.KhronosTextureContainer2 && typeof WebAssembly === 'object' && typeof Worker === 'function';
+  }
+
+  // Absolute folder URL with a trailing slash; decoders resolve their files from inside workers
+  function toBaseUrl(path) {
+    const base = path.endsWith('/') ? path : path + '/';
+    return new URL(base, document.baseURI).href;
+  }
+
+  function configureKtx2Decoder(basePath) {
+    if (!BABYLON.KhronosTextureContainer2) return;
+    const base = toBaseUrl(basePath);
+    const urlConfig = BABYLON.KhronosTextureContainer2.URLConfig;
+    for (const [key, file] of Object.entries(KTX2_TRANSCODER_FILES)) {
+      urlConfig[key] = base + file;
+    }
+    console.log('🗜️ RUNTIME: KTX2 transcoder served from', base);
+  }
+
+  // Point Draco, meshopt, KTX2 and any other lazily loaded Babylon script at a local vendor folder
+  // (vendor/README.md lists where to get these files for the matching Babylon release):
+  //   vendor/draco/draco_wasm_wrapper_gltf.js, draco_decoder_gltf.wasm, draco_decoder_gltf.js
+  //   vendor/meshopt/meshopt_decoder.js
+  //   vendor/ktx2/babylon.ktx2Decoder.js plus the transcoders in KTX2_TRANSCODER_FILES
+  function configureVendorDecoders(vendorBaseUrl, ktx2DecoderPath) {
+    if (vendorBaseUrl === false) {
+      // Babylon CDN for Draco and meshopt; the KTX2 transcoder stays local (vendor/ktx2/ unless ktx2DecoderPath moves it)
+      configureKtx2Decoder(ktx2DecoderPath || 'vendor/ktx2/');
+      return;
+    }
+
+    const base = toBaseUrl(vendorBaseUrl);
+    BABYLON.Tools.ScriptBaseUrl = base;
+    if (BABYLON.DracoCompression) {
+      BABYLON.DracoCompression.Configuration.decoder = {
+        wasmUrl: base + 'draco/draco_wasm_wrapper_gltf.js',
+        wasmBinaryUrl: base + 'draco/draco_decoder_gltf.wasm',
+        fallbackUrl: base + 'draco/draco_decoder_gltf.js'
+      };
+    }
+    if (BABYLON.MeshoptCompression) {
+      BABYLON.MeshoptCompression.Configuration.decoder = { url: base + 'meshopt/meshopt_decoder.js' };
+    }
+    configureKtx2Decoder(ktx2DecoderPath || base + 'ktx2/');
+    console.log('📦 RUNTIME: Decoders served from', base);
+  }
+
+  // Cache scene.json, assets and vendor files in a service worker so the scene reopens offline
+  function registerOfflineCache(scriptUrl) {
+    if (!('serviceWorker' in navigator)) {
+      console.warn('⚠️ RUNTIME: Service workers are not available here (https or localhost required); offline cache disabled');
+      return;
+    }
+    navigator.serviceWorker.register(scriptUrl).then(
+      (registration) => console.log('📦 RUNTIME: Offline cache active, scope:', registration.scope),
+      (error) => console.warn('⚠️ RUNTIME: Offline cache registration failed:', error)
+    );
+  }
+
+  // Manifest given inline or fetched from a URL; a missing file (404 etc.) means "no manifest"
+  async function fetchJsonManifest(source, defaultUrl) {
+    if (source && typeof source === 'object') return source;
+    const url = source || defaultUrl;
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      console.log('🔍 RUNTIME: No manifest at ' + url + ' (' + response.status + ')');
+      return null;
+    }
+    return response.json();
+  }
+
+  // Optional manifest of compressed variants next to the originals:
+  // { "variants": { "banana/Banana_Mid_2K_BaseColor.jpg": { "ktx2": "banana/Banana_Mid_2K_BaseColor.ktx2" } } }
+  async function loadTextureVariants(source) {
+    if (source === false) return null;
+    if (!canUseKtx2()) {
+      console.log('🔍 RUNTIME: KTX2 not supported here, using original textures');
+      return null;
+    }
+
+    try {
+      const manifest = await fetchJsonManifest(source, 'assets/texture-variants.json');
+      if (!manifest) return null;
+
+      const variants = new Map();
+      for (const [original, formats] of Object.entries(manifest.variants || {})) {
+        if (formats && typeof formats.ktx2 === 'string' && formats.ktx2) {
+          // Paths are relative to assets/, like the URLs built by getTextureUrl
+          variants.set(original, formats.ktx2);
+        }
+      }
+      console.log('🗜️ RUNTIME: Compressed texture variants available:', variants.size);
+      return variants;
+    } catch (e) {
+      console.warn('⚠️ RUNTIME: Texture variant manifest ignored:', e);
+      return null;
+    }
+  }
+
+  // Relative asset path of the preferred variant of a texture (the original when none is listed)
+  function getTextureVariantPath(relativePath, scene) {
+    const variants = getRuntime(scene).textureVariants;
+    return (variants && variants.get(relativePath)) || relativePath;
+  }
+
+  // Storage path of the preferred variant of a texture: the original's path with its assets/-relative part swapped
+  function getTextureStoragePath(assetStoragePath, scene) {
+    const path = String(assetStoragePath);
+    const rel = toRelativeAssetPath(path);
+    const variant = getTextureVariantPath(rel, scene);
+    return variant === rel ? path : path.slice(0, path.length - rel.length) + variant;
+  }
+
+  // URL a texture storage path is fetched from; a listed KTX2 variant wins and resolves like any other asset
+  function getTextureUrl(assetStoragePath, scene) {
+    return resolveAssetUrl(getTextureStoragePath(assetStoragePath, scene), scene);
+  }
+
+  // Optional assets.json mapping storage paths (as written in scene.json) to URLs:
+  // { "assets": { "<storage path>": "https://cdn.example.com/banana.gltf" | { "url": "...", "integrity": "sha384-..." } } }
+  // Hashed files are verified whenever a loader fetches them (see fetchVerifiedAsset); .gltf sidecars are not.
+  async function loadAssetManifest(source) {
+    if (source === false) return null;
+    try {
+      const manifest = await fetchJsonManifest(source, 'assets.json');
+      if (!manifest) return null;
+
+      const assets = new Map();
+      for (const [storagePath, entry] of Object.entries(manifest.assets || {})) {
+        const url = typeof entry === 'string' ? entry : entry && entry.url;
+        if (typeof url !== 'string' || !url) {
+          console.warn('⚠️ RUNTIME: Asset manifest entry without url ignored:', storagePath);
+          continue;
+        }
+        assets.set(storagePath, { url, integrity: (entry && typeof entry.integrity === 'string' && entry.integrity) || null });
+      }
+      console.log('📦 RUNTIME: Asset manifest entries:', assets.size);
+      return assets;
+    } catch (e) {
+      console.warn('⚠️ RUNTIME: Asset manifest ignored:', e);
+      return null;
+    }
+  }
+
+  // URL for an asset storage path: its assets.json entry, else 'assets/' + relative path; the
+  // resolveAsset(storagePath, url) option may rewrite it (CDN, signed URLs). null when the asset failed its integrity check.
+  function resolveAssetUrl(storagePath, scene) {
+    const runtime = getRuntime(scene);
+    if (runtime.blockedAssets.has(storagePath)) return null;
+
+    const entry = runtime.assetManifest && runtime.assetManifest.get(storagePath);
+    let url = entry ? entry.url : 'assets/' + toRelativeAssetPath(storagePath);
+    if (runtime.resolveAsset) {
+      try {
+        const resolved = runtime.resolveAsset(storagePath, url);
+        if (typeof resolved === 'string' && resolved) url = resolved;
+      } catch (e) {
+        console.warn('⚠️ RUNTIME: resolveAsset failed, using default URL:', storagePath, e);
+      }
+    }
+    // Loaders look the hash up by the URL they are handed (see fetchVerifiedAsset)
+    if (entry && entry.integrity) {
+      runtime.assetIntegrity.set(url, { storagePath, integrity: entry.integrity });
+    }
+    return url;
+  }
+
+  // Lowercase extension of a URL, ignoring query strings and hashes (signed URLs)
+  function getUrlExtension(url) {
+    const path = String(url).split('#')[0].split('?')[0];
+    const dot = path.lastIndexOf('.');
+    return dot > path.lastIndexOf('/') ? path.slice(dot).toLowerCase() : '';
+  }
+
+  // Download an asset whose assets.json entry carries an SRI hash; the browser rejects a body that does
+  // not match. Resolves with the verified Blob, or null when the asset has no hash. A failed check blocks
+  // the storage path and is reported as a diagnostic. Only the listed file is checked: the buffers and
+  // images a .gltf references load unverified from next to it (list them as .glb to cover them).
+  async function fetchVerifiedAsset(url, scene) {
+    const runtime = getRuntime(scene);
+    const checked = runtime.assetIntegrity.get(url);
+    if (!checked) return null;
+    try {
+      const response = await fetch(url, { integrity: checked.integrity });
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      const blob = await response.blob();
+      console.log('🔐 RUNTIME: Verified asset hash:', checked.storagePath);
+      return blob;
+    } catch (error) {
+      reportIntegrityFailure(runtime, checked.storagePath, error);
+      throw new Error('Integrity check failed for ' + checked.storagePath + ': ' + error.message);
+    }
+  }
+
+  function reportIntegrityFailure(runtime, storagePath, error) {
+    runtime.blockedAssets.add(storagePath);
+    const diagnostic = { level: 'error', path: 'assets.json', nodeId: null, message: 'Integrity check failed for ' + JSON.stringify(storagePath) + ' (' + error.message + '); asset not loaded' };
+    try {
+      checkDiagnostics(runtime, [diagnostic]);
+    } catch (e) {
+      // Strict mode: the load fails once the scene is ready (see run)
+      runtime.integrityError = runtime.integrityError || e;
+    }
+  }
+
+  // URL to hand to a loader: an object URL of the verified bytes for integrity-checked assets (release it
+  // with releaseLoadUrl once loaded), else the URL itself; null when the check failed.
+  // Object URLs have no file extension, so callers pass getUrlExtension(url) to the loader as well.
+  async function getVerifiedLoadUrl(url, scene) {
+    let blob;
+    try {
+      blob = await fetchVerifiedAsset(url, scene);
+    } catch (e) {
+      console.warn('⚠️ RUNTIME:', e.message);
+      return null;
+    }
+    if (!blob) return url;
+    const loadUrl = URL.createObjectURL(blob);
+    getRuntime(scene).loadUrls.add(loadUrl);
+    return loadUrl;
+  }
+
+  function releaseLoadUrl(loadUrl, scene) {
+    const loadUrls = getRuntime(scene).loadUrls;
+    if (!loadUrls.delete(loadUrl)) return;
+    URL.revokeObjectURL(loadUrl);
+  }
+
+  // Free the verified bytes behind a texture once it has uploaded them
+  function releaseLoadUrlOnLoad(texture, loadUrl, scene) {
+    if (!getRuntime(scene).loadUrls.has(loadUrl)) return;
+    texture.onLoadObservable.addOnce(() => releaseLoadUrl(loadUrl, scene));
+  }
+
+  function revokeLoadUrls(runtime) {
+    for (const loadUrl of runtime.loadUrls) {
+      URL.revokeObjectURL(loadUrl);
+    }
+    runtime.loadUrls.clear();
+  }
+
   function loadTextureFromAssetPath(assetStoragePath, scene) {
     if (!assetStoragePath || !scene) return null;
     try {
       console.log('🔍 RUNTIME: Loading texture from storage path:', assetStoragePath);
       
-      // Use the toRelativeAssetPath function to convert storage path to relative path
-      const rel = toRelativeAssetPath(assetStoragePath);
-      const url = 'assets/' + rel;
+      // Convert the storage path to an asset URL, preferring a listed KTX2 variant
+      const url = getTextureUrl(assetStoragePath, scene);
+      if (!url) return null;
       
       console.log('🔍 RUNTIME: Converted storage path to URL:', assetStoragePath, '->', url);
       
-      const texture = new BABYLON.Texture(url, scene);
-      const parts2 = url.split('/');
+      const forcedExtension = getUrlExtension(url) || undefined;
+      let texture;
+      if (getRuntime(scene).assetIntegrity.has(url)) {
+        // Empty until the verified bytes arrive; after a failed check it stays empty and stops holding up readiness
+        texture = new BABYLON.Texture(null, scene);
+        getVerifiedLoadUrl(url, scene).then((loadUrl) => {
+          if (!texture.getScene()) {
+            if (loadUrl) releaseLoadUrl(loadUrl, scene);
+          } else if (loadUrl) {
+            texture.updateURL(loadUrl, null, () => releaseLoadUrl(loadUrl, scene), forcedExtension);
+          } else {
+            texture.isBlocking = false;
+          }
+        });
+      } else {
+        texture = new BABYLON.Texture(url, scene, { forcedExtension });
+      }
+      const parts2 = url.split('?')[0].split('/');
       texture.name = parts2[parts2.length - 1];
       return texture;
     } catch (e) {
@@ -91,473 +465,3628 @@
     }
   }
 
-  try {
-    showLoading('Initializing viewer...');
-    
-    // Create Babylon.js engine
-    const engine = new BABYLON.Engine(canvas, true, {
-      preserveDrawingBuffer: true,
-      stencil: true,
-    });
-    engine.enableOfflineSupport = false;
-
-    // Create scene
-    const scene = new BABYLON.Scene(engine);
-    // Match editor/viewer coordinate system so rotations are consistent
-    scene.useRightHandedSystem = true;
-    scene.clearColor = new BABYLON.Color4(0, 0, 0, 0); // Transparent background
+  // Child mesh ids look like '<modelId>::mesh::<stableId>'
+  function getChildTokenFromId(id) {
+    const i = id.lastIndexOf(MESH_TAG);
+    return i >= 0 ? id.slice(i + MESH_TAG.length) : null;
+  }
 
-    // Rely on Scene.useRightHandedSystem; Babylon's GLTF loader auto-aligns to scene
+  // Find a loaded child mesh by stableId
+  function findChildMesh(scene, token) {
+    return scene.meshes.find(m => m.metadata && m.metadata.stableId === token) || null;
+  }
 
-    showLoading('Loading scene...');
-    
-    // Load scene graph
-    const response = await fetch('scene.json', { 
-      cache: 'no-store', 
-      headers: { 'Cache-Control': 'no-cache' } 
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch scene: ' + response.status + ' ' + response.statusText);
+  // Resolve a scene graph id to the Babylon node created for it
+  function findSceneNode(scene, id) {
+    if (!scene || !id) return null;
+    if (id.includes(MESH_TAG)) {
+      const token = getChildTokenFromId(id);
+      return token ? findChildMesh(scene, token) : null;
     }
-    
-    const sceneGraph = await response.json();
-    console.log('Scene graph loaded:', sceneGraph);
-    EXPORTED_SCENE_GRAPH = sceneGraph;
+    return scene.getNodeById(id);
+  }
 
-    // Validate scene graph
-    if (!sceneGraph || !sceneGraph.nodes || !Array.isArray(sceneGraph.nodes)) {
-      throw new Error('Invalid scene graph format');
-    }
+  // Load an exported scene into a canvas and return a handle for the host page
+  function load(options) {
+    const opts = options || {};
+    const canvas = typeof opts.canvas === 'string' ? document.getElementById(opts.canvas) : opts.canvas;
+    const listeners = new Map();
 
-    showLoading('Creating scene objects...');
-    
-    // Instantiate scene from graph
-    await instantiateGraph(sceneGraph, scene);
+    const runtime = {
+      canvas,
+      engine: null,
+      scene: null,
+      sceneGraph: null,
+      loadingOverlay: opts.loadingOverlay || null,
+      loadingText: opts.loadingText || null,
+      loadingProgress: opts.loadingProgress || null,
+      loadProgress: null,
+      validation: opts.validation || 'lenient',
+      diagnostics: [],
+      showDiagnostics: opts.showDiagnostics !== undefined ? !!opts.showDiagnostics : !!opts.loadingOverlay,
+      modelCache: new Map(),
+      textures: new Map(),
+      textureVariants: null,
+      assetManifest: null,
+      resolveAsset: typeof opts.resolveAsset === 'function' ? opts.resolveAsset : null,
+      blockedAssets: new Set(),
+      assetIntegrity: new Map(),
+      loadUrls: new Set(),
+      integrityError: null,
+      materials: new Map(),
+      modelQueue: createTaskQueue(opts.modelConcurrency),
+      animationGroups: new Map(),
+      animationFades: new Map(),
+      behaviors: new Map(),
+      behaviorObservers: [],
+      cameraTransition: null,
+      turntable: null,
+      xr: null,
+      annotations: null,
+      annotationsHidden: false,
+      updateChain: Promise.resolve(),
+      activeViewpoint: null,
+      viewpointMenu: null,
+      cleanups: [],
+      renderingPipeline: null,
+      ssaoPipeline: null,
+      disposed: false,
+      onResize: null,
+      emit
+    };
 
-    // Apply scene settings if they exist
-    if (sceneGraph.sceneSettings) {
-      showLoading('Applying scene settings...');
-      await applySceneSettings(scene, sceneGraph.sceneSettings);
+    function emit(type, payload) {
+      const fns = listeners.get(type);
+      if (!fns) return;
+      for (const fn of Array.from(fns)) {
+        try {
+          fn(payload, handle);
+        } catch (e) {
+          console.error('Runtime event listener failed (' + type + '):', e);
+        }
+      }
     }
 
-    showLoading('Preparing scene...');
-    
-    // Wait for scene to be ready
-    await scene.whenReadyAsync();
+    const handle = {
+      get canvas() { return runtime.canvas; },
+      get engine() { return runtime.engine; },
+      get scene() { return runtime.scene; },
+      get sceneGraph() { return runtime.sceneGraph; },
+      get disposed() { return runtime.disposed; },
+      // Validation problems: [{ level, path, nodeId, message }]
+      get diagnostics() { return runtime.diagnostics.slice(); },
+      ready: null,
 
-    // Apply material overrides after scene is fully ready
-    if (sceneGraph.materialOverrides) {
-      showLoading('Applying material overrides...');
-      // Add a longer delay to ensure all materials and textures including IBL are fully initialized
-      await new Promise(resolve => setTimeout(resolve, 250));
-      applyMaterialOverrides(scene, sceneGraph.materialOverrides);
-    }
+      // Babylon node (camera, light, mesh or model root) for a scene graph id
+      getNode(id) {
+        return findSceneNode(runtime.scene, id);
+      },
 
-    // CRITICAL FIX: Final IBL material refresh after everything is loaded
-    // This is what happens when you enable skybox in editor - it fixes the reflections!
-    if (scene.environmentTexture) {
-      console.log('🔧 Final IBL material refresh (replicates skybox creation fix)');
-      setTimeout(() => {
-        refreshMaterialsForIBL(scene);
-        console.log('🎉 Runtime IBL reflections should now be correct!');
-      }, 300);
-    }
+      // Raw scene graph entry for an id
+      getGraphNode(id) {
+        const nodes = (runtime.sceneGraph && runtime.sceneGraph.nodes) || [];
+        return nodes.find(n => n.id === id) || null;
+      },
+
+      // Show or hide a node (models hide/show all of their meshes)
+      setVisibility(id, visible) {
+        return setNodeVisibility(runtime.scene, id, visible);
+      },
+
+      // Run declarative behavior actions, e.g. [{ type: 'toggleVisibility', target: 'root::fish' }]
+      runActions(actions) {
+        return runBehaviorActions(runtime.scene, actions, null);
+      },
+
+      // Patch materials by name, like scene.json materialOverrides
+      applyMaterialOverrides(overrides) {
+        if (!runtime.sceneGraph) throw new Error('Scene is not loaded yet');
+        applyMaterialOverrides(runtime.scene, overrides);
+        // Keep the graph in step so live reloads diff against what is shown
+        const current = runtime.sceneGraph.materialOverrides || {};
+        const merged = Object.assign({}, current);
+        for (const [name, props] of Object.entries(overrides)) {
+          merged[name] = Object.assign({}, current[name], props);
+        }
+        runtime.sceneGraph.materialOverrides = merged;
+      },
+
+      // Image of the active camera as a data URL; options: { width, height, format, quality, transparent, background, download }
+      screenshot(options) {
+        return takeScreenshot(runtime.scene, options);
+      },
+
+      // Orbit the ArcRotate camera and capture stills (data URLs) or a WebM Blob; see recordTurntable
+      turntable(options) {
+        return recordTurntable(runtime, options);
+      },
+
+      cancelTurntable() {
+        if (runtime.turntable) runtime.turntable.cancelled = true;
+      },
+
+      // Annotations with their screen position: [{ id, label, visible, occluded, screen: [x, y] }]
+      getAnnotations() {
+        return getAnnotations(runtime.scene);
+      },
+
+      // Focus the camera on an annotation; options as for goToViewpoint
+      focusAnnotation(id, options) {
+        return focusAnnotation(runtime.scene, id, options);
+      },
+
+      // Remembered across rebuilds, so it may be called before 'ready' or while there are no annotations
+      setAnnotationsVisible(visible) {
+        runtime.annotationsHidden = !visible;
+      },
+
+      // Immersive mode state: { supported: ['vr', 'ar'], mode } (null when sceneSettings.xr is off or unsupported)
+      get xr() {
+        const xr = runtime.xr;
+        return xr ? { supported: xr.supported.slice(), mode: xr.mode, experience: xr.experience } : null;
+      },
+
+      // 'vr' or 'ar'; browsers only allow this from a user gesture
+      enterXR(mode) {
+        return enterXR(runtime, mode);
+      },
+
+      exitXR() {
+        return exitXR(runtime);
+      },
+
+      // Viewpoints declared in scene.json
+      getViewpoints() {
+        return getViewpoints(runtime.scene);
+      },
+
+      // Animate the active camera to a viewpoint; options: { duration, easing, easingMode }
+      goToViewpoint(id, options) {
+        return goToViewpoint(runtime.scene, id, options);
+      },
 
-    // Start render loop
-    engine.runRenderLoop(() => {
-      if (scene) {
-        scene.render();
+      // Animation clip names of a model node
+      getAnimations(nodeId) {
+        return getModelAnimationGroups(runtime.scene, nodeId).map(g => g.name);
+      },
+
+      playAnimation(nodeId, clip, options) {
+        return playModelAnimation(runtime.scene, nodeId, clip, options);
+      },
+
+      pauseAnimation(nodeId, clip) {
+        pauseModelAnimation(runtime.scene, nodeId, clip);
+      },
+
+      stopAnimation(nodeId, clip) {
+        stopModelAnimation(runtime.scene, nodeId, clip);
+      },
+
+      setAnimationWeight(nodeId, clip, weight) {
+        setModelAnimationWeight(runtime.scene, nodeId, clip, weight);
+      },
+
+      crossfadeAnimation(nodeId, clip, duration, options) {
+        return crossfadeModelAnimation(runtime.scene, nodeId, clip, duration, options);
+      },
+
+      // Apply an edited scene graph without reloading the page; resolves with what changed
+      updateSceneGraph(graph) {
+        const apply = () => {
+          if (runtime.disposed) throw new Error('Runtime is disposed');
+          return applySceneGraphUpdate(runtime, graph);
+        };
+        // Updates wait for the initial load and run one at a time
+        runtime.updateChain = runtime.updateChain.catch(() => {}).then(() => handle.ready).then(apply);
+        return runtime.updateChain;
+      },
+
+      on(type, fn) {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(fn);
+        return handle;
+      },
+
+      off(type, fn) {
+        const fns = listeners.get(type);
+        if (fns) fns.delete(fn);
+        return handle;
+      },
+
+      once(type, fn) {
+        const wrapped = (payload, h) => {
+          handle.off(type, wrapped);
+          fn(payload, h);
+        };
+        return handle.on(type, wrapped);
+      },
+
+      dispose() {
+        if (runtime.disposed) return;
+        runtime.disposed = true;
+        if (runtime.onResize) {
+          window.removeEventListener('resize', runtime.onResize);
+        }
+        for (const cleanup of runtime.cleanups.splice(0)) {
+          try {
+            cleanup();
+          } catch (e) {
+            console.warn('Runtime cleanup failed:', e);
+          }
+        }
+        if (runtime.engine) {
+          runtime.engine.stopRenderLoop();
+        }
+        if (runtime.scene) {
+          RUNTIMES.delete(runtime.scene);
+          runtime.scene.dispose();
+        }
+        if (runtime.engine) {
+          runtime.engine.dispose();
+        }
+        hideLoading(runtime);
+        emit('dispose');
+        listeners.clear();
       }
-    });
+    };
+
+    handle.ready = run().then(() => handle);
+    // Failures are reported through the 'error' event and the overlay as well
+    handle.ready.catch(() => {});
+    if (opts.bridge) {
+      startBridge(runtime, handle, opts.bridge);
+    }
+    return handle;
+
+    async function run() {
+      try {
+        // Lifecycle events (including early 'error's) fire after load() has returned the handle
+        await Promise.resolve();
+        if (!canvas) {
+          throw new Error('Canvas element not found');
+        }
+
+        showLoading(runtime, 'Initializing viewer...');
+
+        if (opts.offlineCache) {
+          registerOfflineCache(typeof opts.offlineCache === 'string' ? opts.offlineCache : 'sw.js');
+        }
+
+        // Create Babylon.js engine
+        const engine = new BABYLON.Engine(canvas, true, {
+          preserveDrawingBuffer: true,
+          stencil: true,
+        });
+        // Offline use goes through the service worker (offlineCache), not Babylon's .manifest database
+        engine.enableOfflineSupport = false;
+        runtime.engine = engine;
+
+        // Create scene
+        const scene = new BABYLON.Scene(engine);
+        // Match editor/viewer coordinate system so rotations are consistent
+        scene.useRightHandedSystem = true;
+        scene.clearColor = new BABYLON.Color4(0, 0, 0, 0); // Transparent background
+        runtime.scene = scene;
+        RUNTIMES.set(scene, runtime);
+
+        // Rely on Scene.useRightHandedSystem; Babylon's GLTF loader auto-aligns to scene
+
+        showLoading(runtime, 'Loading scene...');
+
+        // Local decoders (vendorBaseUrl: false keeps the Babylon CDN); texture variants load while the scene graph downloads
+        configureVendorDecoders(opts.vendorBaseUrl !== undefined ? opts.vendorBaseUrl : 'vendor/', opts.ktx2DecoderPath);
+        const textureVariants = loadTextureVariants(opts.textureVariants);
+        const assetManifest = loadAssetManifest(opts.assetManifest);
+
+        // Load scene graph (or take the one handed in by the host page)
+        let sceneGraph = opts.sceneGraph || null;
+        if (!sceneGraph) {
+          const response = await fetch(opts.sceneUrl || 'scene.json', {
+            cache: 'no-store',
+            headers: { 'Cache-Control': 'no-cache' }
+          });
+
+          if (!response.ok) {
+            throw new Error('Failed to fetch scene: ' + response.status + ' ' + response.statusText);
+          }
+
+          sceneGraph = await response.json();
+        }
+        if (runtime.disposed) return;
+        console.log('Scene graph loaded:', sceneGraph);
+
+        // Upgrade older formats (and refuse newer ones) before validating
+        sceneGraph = migrateSceneGraph(sceneGraph);
+
+        // Validate scene graph
+        if (!sceneGraph || !sceneGraph.nodes || !Array.isArray(sceneGraph.nodes)) {
+          throw new Error('Invalid scene graph format');
+        }
+        checkDiagnostics(runtime, validateSceneGraph(sceneGraph));
+        sceneGraph = dropInvalidNodes(sceneGraph);
+        runtime.sceneGraph = sceneGraph;
+        runtime.textureVariants = await textureVariants;
+        runtime.assetManifest = await assetManifest;
+        runtime.cleanups.push(() => revokeLoadUrls(runtime));
+        if (runtime.disposed) return;
+        emit('load', sceneGraph);
+
+        showLoading(runtime, 'Creating scene objects...');
+        runtime.loadProgress = createLoadProgress(sceneGraph, scene);
+
+        // Instantiate scene from graph
+        await instantiateGraph(sceneGraph, scene);
+        if (runtime.disposed) return;
+
+        // Apply scene settings if they exist
+        if (sceneGraph.sceneSettings) {
+          showLoading(runtime, 'Applying scene settings...');
+          await applySceneSettings(scene, sceneGraph.sceneSettings);
+        }
+
+        showLoading(runtime, 'Preparing scene...');
+
+        // Wait for scene to be ready
+        await scene.whenReadyAsync();
+        if (runtime.disposed) return;
+        // Strict mode refuses a scene whose assets failed their integrity check while loading
+        if (runtime.integrityError) throw runtime.integrityError;
+
+        // Apply material overrides after scene is fully ready
+        if (sceneGraph.materialOverrides) {
+          showLoading(runtime, 'Applying material overrides...');
+          // Add a longer delay to ensure all materials and textures including IBL are fully initialized
+          await new Promise(resolve => setTimeout(resolve, 250));
+          if (runtime.disposed) return;
+          applyMaterialOverrides(scene, sceneGraph.materialOverrides);
+          checkDiagnostics(runtime, validateMaterialOverrideTargets(scene, sceneGraph));
+        }
+
+        // CRITICAL FIX: Final IBL material refresh after everything is loaded
+        // This is what happens when you enable skybox in editor - it fixes the reflections!
+        if (scene.environmentTexture) {
+          console.log('🔧 Final IBL material refresh (replicates skybox creation fix)');
+          setTimeout(() => {
+            if (runtime.disposed) return;
+            refreshMaterialsForIBL(scene);
+            console.log('🎉 Runtime IBL reflections should now be correct!');
+          }, 300);
+        }
+
+        // Wire declarative behaviors (click/hover/proximity) from the scene graph
+        setupBehaviors(scene, sceneGraph);
+
+        // Named camera viewpoints (menu and #view=<id> hash navigation)
+        setupViewpoints(scene, sceneGraph, opts);
+
+        // HTML callouts anchored to nodes (scene.json annotations)
+        setupAnnotations(scene);
+
+        // Enter VR/AR buttons when sceneSettings.xr opts in (resolves in the background)
+        setupXR(runtime, sceneGraph, opts).catch(e => console.warn('⚠️ RUNTIME: WebXR setup failed:', e));
+
+        // 'P' on the focused canvas downloads a still (screenshotShortcut: false disables it)
+        if (opts.screenshotShortcut !== false) {
+          setupScreenshotShortcut(runtime, opts.screenshotShortcut || 'p');
+        }
+
+        // Start render loop
+        engine.runRenderLoop(() => {
+          if (scene) {
+            scene.render();
+          }
+        });
+
+        // Handle window resize
+        runtime.onResize = () => {
+          if (engine) {
+            engine.resize();
+          }
+        };
+        window.addEventListener('resize', runtime.onResize);
+
+        // Hide loading overlay
+        hideLoading(runtime);
+        if (runtime.showDiagnostics) {
+          showDiagnosticsSummary(runtime);
+        }
+        emit('ready', scene);
 
-    // Handle window resize
-    window.addEventListener('resize', () => {
-      if (engine) {
-        engine.resize();
+        // Incremental updates from the editor (polling, postMessage or WebSocket)
+        if (opts.liveReload) {
+          startLiveReload(runtime, handle, opts.liveReload, opts.sceneGraph ? null : (opts.sceneUrl || 'scene.json'));
+        }
+
+      } catch (error) {
+        showError(runtime, 'Failed to load scene: ' + escapeHtml(error.message) + formatDiagnosticsHtml(error.diagnostics));
+        console.error('Runtime error:', error);
+        emit('error', error);
+        throw error;
       }
-    });
+    }
+  }
 
-    // Hide loading overlay
-    hideLoading();
-    
-  } catch (error) {
-    showError('Failed to load scene: ' + error.message);
-    console.error('Runtime error:', error);
+  // Newest scene graph `version` this runtime understands
+  const SCENE_FORMAT_VERSION = 2;
+  const NODE_KINDS = ['camera', 'light', 'mesh', 'model', 'group'];
+  const CAMERA_TYPES = ['ArcRotate', 'Universal'];
+  const LIGHT_TYPES = ['Point', 'Spot', 'Directional', 'Hemispheric'];
+  const BEHAVIOR_TRIGGERS = ['click', 'hover', 'hoverOut', 'proximity', 'proximityExit'];
+
+  // Format 0 (unversioned exports) -> 1: node arrays were saved bare and child meshes used numeric uniqueIds
+  function migrateV0ToV1(graph) {
+    const upgraded = Array.isArray(graph) ? { nodes: graph } : graph;
+    for (const node of upgraded.nodes || []) {
+      const token = node && typeof node.id === 'string' ? getChildTokenFromId(node.id) : null;
+      if (token && /^[0-9]+$/.test(token)) {
+        node.metadata = Object.assign({}, node.metadata, { legacyUniqueId: parseInt(token, 10) });
+      }
+    }
+    return upgraded;
   }
 
-  // Instantiate scene graph (adapted from viewer.js)
-  async function instantiateGraph(graph, scene) {
-    console.log('🏗️ Instantiating scene graph with', graph.nodes.length, 'nodes');
-    
-    // First pass: Create all non-child-mesh objects (models, lights, cameras, top-level meshes)
-    const childMeshNodes = [];
-    for (const node of graph.nodes) {
-      if (node.kind === 'mesh' && node.id.includes('::mesh::') && node.parentId) {
-        // Defer child mesh processing
-        childMeshNodes.push(node);
-      } else {
-        await instantiateNode(node, scene);
+  // Format 1 -> 2: the built-in 'defaultCube' and 'ground' meshes become explicit primitives
+  function migrateV1ToV2(graph) {
+    const legacyPrimitives = {
+      defaultCube: {
+        primitive: { type: 'box', size: 2 },
+        material: { type: 'pbr', name: 'defaultCubeMaterial', albedoColor: [0.8, 0.8, 0.8], metallic: 0.1, roughness: 0.3 }
+      },
+      ground: {
+        primitive: { type: 'ground', width: 6, height: 6 },
+        material: { type: 'pbr', name: 'groundMaterial', albedoColor: [0.5, 0.5, 0.5], metallic: 0, roughness: 0.8 }
+      }
+    };
+    for (const node of graph.nodes || []) {
+      const legacy = node && node.kind === 'mesh' && !node.primitive ? legacyPrimitives[node.id] : null;
+      if (legacy) {
+        node.primitive = legacy.primitive;
+        node.material = node.material || legacy.material;
       }
     }
+    return graph;
+  }
 
-    // Second pass: Apply transforms to child meshes (after models are loaded)
-    if (childMeshNodes.length > 0) {
-      console.log('🎯 Processing', childMeshNodes.length, 'child mesh transforms...');
-      for (const node of childMeshNodes) {
-        await instantiateNode(node, scene);
+  // Step N upgrades format N to N + 1
+  const SCENE_MIGRATIONS = {
+    0: migrateV0ToV1,
+    1: migrateV1ToV2
+  };
+
+  // Upgrade a scene graph step by step to SCENE_FORMAT_VERSION; refuses formats newer than this runtime
+  function migrateSceneGraph(graph) {
+    if (!graph || typeof graph !== 'object') return graph;
+
+    const declared = Array.isArray(graph) ? undefined : graph.version;
+    let version = declared === undefined ? 0 : declared;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error('Unsupported scene format version ' + JSON.stringify(declared));
+    }
+    if (version > SCENE_FORMAT_VERSION) {
+      throw new Error('This scene was exported in format version ' + version + ', but this runtime only understands up to version ' +
+        SCENE_FORMAT_VERSION + '. Re-export the scene together with an updated runtime (app.js).');
+    }
+    if (version === SCENE_FORMAT_VERSION) return graph;
+
+    // Migrations edit a copy so the caller's object is left untouched
+    let current = JSON.parse(JSON.stringify(graph));
+    while (version < SCENE_FORMAT_VERSION) {
+      const step = SCENE_MIGRATIONS[version];
+      if (!step) {
+        throw new Error('No migration available from scene format version ' + version);
       }
+      current = step(current);
+      version += 1;
+      current.version = version;
+      console.log('🔁 Migrated scene graph to format version', version);
     }
-    
-    console.log('✅ Graph instantiation complete');
+    return current;
   }
 
-  async function instantiateNode(node, scene) {
-    const position = new BABYLON.Vector3(...node.transform.position);
-    const rotation = node.transform.rotation ? new BABYLON.Vector3(...node.transform.rotation) : BABYLON.Vector3.Zero();
-    const scaling = node.transform.scaling ? new BABYLON.Vector3(...node.transform.scaling) : BABYLON.Vector3.One();
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
 
-    try {
-      switch (node.kind) {
-        case 'camera':
-          // Create camera based on type stored in scene graph
-          let camera;
-          const cameraProps = node.camera || { type: 'ArcRotate', minZ: 0.1, maxZ: 100 };
-          
-          if (cameraProps.type === 'Universal') {
-            camera = new BABYLON.UniversalCamera(node.id, position, scene);
-            if (rotation) {
-              camera.rotation = rotation;
-            }
-          } else {
-            // ArcRotate (default)
-            const alpha = cameraProps.alpha || -Math.PI / 2;
-            const beta = cameraProps.beta || Math.PI / 2.5;
-            const radius = cameraProps.radius || position.length() || 15;
-            const target = cameraProps.target ? new BABYLON.Vector3(...cameraProps.target) : BABYLON.Vector3.Zero();
-            
-            camera = new BABYLON.ArcRotateCamera(node.id, alpha, beta, radius, target, scene);
-            
-            // Set radius limits if specified
-            if (cameraProps.lowerRadiusLimit !== undefined) {
-              camera.lowerRadiusLimit = cameraProps.lowerRadiusLimit;
-            }
-            if (cameraProps.upperRadiusLimit !== undefined) {
-              camera.upperRadiusLimit = cameraProps.upperRadiusLimit;
-            }
+  function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+  }
+
+  // Check a scene graph before instantiation; returns [{ level, path, nodeId, message }]
+  function validateSceneGraph(graph) {
+    const diagnostics = [];
+    const report = (level, path, nodeId, message) => diagnostics.push({ level, path, nodeId: nodeId || null, message });
+    const error = (path, nodeId, message) => report('error', path, nodeId, message);
+    const warn = (path, nodeId, message) => report('warning', path, nodeId, message);
+
+    // Format version (migrateSceneGraph has already upgraded or refused the file)
+    if (graph.version !== SCENE_FORMAT_VERSION) {
+      error('version', null, 'Expected format version ' + SCENE_FORMAT_VERSION + ', got ' + JSON.stringify(graph.version));
+    }
+    if (graph.sceneVersion !== undefined && !(Number.isInteger(graph.sceneVersion) && graph.sceneVersion >= 0)) {
+      warn('sceneVersion', null, 'sceneVersion should be a non-negative integer, got ' + JSON.stringify(graph.sceneVersion));
+    }
+
+    // Node ids first so parent/target references can be checked in any order
+    const ids = new Map();
+    graph.nodes.forEach((node, i) => {
+      if (node && typeof node.id === 'string' && node.id) {
+        if (ids.has(node.id)) {
+          error('nodes[' + i + '].id', node.id, 'Duplicate node id (first used at nodes[' + ids.get(node.id).index + '])');
+        } else {
+          ids.set(node.id, { index: i, node });
+        }
+      }
+    });
+
+    // Declared materials (ids are referenced by mesh nodes through materialId)
+    const materialIds = new Set();
+    if (graph.materials !== undefined) {
+      if (!Array.isArray(graph.materials)) {
+        error('materials', null, 'materials must be an array');
+      } else {
+        graph.materials.forEach((m, i) => {
+          const mPath = 'materials[' + i + ']';
+          if (!m || typeof m.id !== 'string' || !m.id) {
+            error(mPath + '.id', null, 'Material is missing id');
+            return;
           }
-          
-          // Set common camera properties (use exact values from editor)
-          camera.minZ = typeof cameraProps.minZ === 'number' ? cameraProps.minZ : 0.1;
-          camera.maxZ = typeof cameraProps.maxZ === 'number' ? cameraProps.maxZ : 100;
-          
-          // Apply enabled state
-          const cameraEnabled = node.enabled !== false;
-          camera.setEnabled(cameraEnabled);
-          
-          // Set as active camera if marked as such (and attach controls)
-          if (cameraProps.active) {
-            scene.activeCamera = camera;
-            camera.attachControl(canvas, true);
+          if (materialIds.has(m.id)) {
+            error(mPath + '.id', null, 'Duplicate material id ' + JSON.stringify(m.id));
           }
-          
-          break;
+          materialIds.add(m.id);
+          if (m.type !== undefined && !['pbr', 'standard'].includes(m.type)) {
+            error(mPath + '.type', null, 'Material type must be pbr or standard');
+          }
+        });
+      }
+    }
 
-        case 'light': {
-          // Create light based on saved type and properties
-          let light;
-          const lightProps = node.light || { type: 'Hemispheric', intensity: 0.7, color: [1, 1, 1], enabled: true };
+    graph.nodes.forEach((node, i) => {
+      const path = 'nodes[' + i + ']';
+      if (!node || typeof node !== 'object') {
+        error(path, null, 'Node must be an object');
+        return;
+      }
+      const id = typeof node.id === 'string' && node.id ? node.id : null;
+      if (!id) {
+        error(path + '.id', null, 'Missing node id');
+      }
 
-          switch (lightProps.type) {
-            case 'Point': {
-              light = new BABYLON.PointLight(node.id, position, scene);
-              if (lightProps.range !== undefined) {
-                light.range = lightProps.range;
-              }
-              break;
-            }
-            case 'Spot': {
-              // Compute direction from node rotation
-              let direction = new BABYLON.Vector3(0, -1, 0);
-              if (node.transform.rotation) {
-                direction = BABYLON.Vector3.Forward().rotateByQuaternionToRef(
-                  BABYLON.Quaternion.FromEulerAngles(
-                    node.transform.rotation[0],
-                    node.transform.rotation[1],
-                    node.transform.rotation[2]
-                  ),
-                  new BABYLON.Vector3()
-                );
-              }
-              light = new BABYLON.SpotLight(
-                node.id,
-                position,
-                direction,
-                lightProps.angle || Math.PI / 6,
-                lightProps.exponent || 1,
-                scene
-              );
-              if (lightProps.range !== undefined) {
-                light.range = lightProps.range;
-              }
-              break;
-            }
-            case 'Directional': {
-              // Compute direction from node rotation
-              let direction = new BABYLON.Vector3(0, -1, 0);
-              if (node.transform.rotation) {
-                direction = BABYLON.Vector3.Forward().rotateByQuaternionToRef(
-                  BABYLON.Quaternion.FromEulerAngles(
-                    node.transform.rotation[0],
-                    node.transform.rotation[1],
-                    node.transform.rotation[2]
-                  ),
-                  new BABYLON.Vector3()
-                );
-              }
-              light = new BABYLON.DirectionalLight(node.id, direction, scene);
-              // Position directional for better shadow casting
-              light.position = position;
-              break;
-            }
-            case 'Hemispheric':
-            default: {
-              const direction = new BABYLON.Vector3(0, 1, 0);
-              light = new BABYLON.HemisphericLight(node.id, direction, scene);
-              if (lightProps.groundColor) {
-                light.groundColor = new BABYLON.Color3(...lightProps.groundColor);
-              }
-              break;
-            }
+      if (!NODE_KINDS.includes(node.kind)) {
+        error(path + '.kind', id, 'Unknown node kind ' + JSON.stringify(node.kind) + ' (expected ' + NODE_KINDS.join(', ') + '); node is skipped');
+      }
+
+      // Transform
+      if (!node.transform || typeof node.transform !== 'object') {
+        error(path + '.transform', id, 'Missing transform');
+      } else {
+        if (!isVector3(node.transform.position)) {
+          error(path + '.transform.position', id, node.transform.position === undefined ? 'Missing position' : 'Position must be [x, y, z] numbers');
+        }
+        for (const key of ['rotation', 'scaling']) {
+          if (node.transform[key] !== undefined && !isVector3(node.transform[key])) {
+            error(path + '.transform.' + key, id, key + ' must be [x, y, z] numbers');
           }
+        }
+      }
 
-          // Common light properties
-          if (typeof lightProps.intensity === 'number') {
-            light.intensity = lightProps.intensity;
-          } else {
-            light.intensity = 0.7;
+      // Parent reference
+      if (node.parentId !== undefined && node.parentId !== null) {
+        if (!ids.has(node.parentId)) {
+          error(path + '.parentId', id, 'Parent ' + JSON.stringify(node.parentId) + ' does not exist');
+        } else if (node.parentId === id) {
+          error(path + '.parentId', id, 'Node cannot be its own parent');
+        } else {
+          const seen = new Set([id]);
+          let current = ids.get(node.parentId);
+          while (current && current.node.parentId && !seen.has(current.node.id)) {
+            seen.add(current.node.id);
+            current = ids.get(current.node.parentId);
           }
-          if (Array.isArray(lightProps.color) && lightProps.color.length === 3) {
-            light.diffuse = new BABYLON.Color3(...lightProps.color);
+          if (current && seen.has(current.node.id)) {
+            error(path + '.parentId', id, 'Parent chain forms a cycle');
           }
-
-          // Apply enabled state from node
-          const lightEnabled = node.enabled !== false;
-          light.setEnabled(lightEnabled);
-          break;
         }
+      }
+      if (id && id.includes(MESH_TAG)) {
+        const parent = ids.get(node.parentId);
+        if (!node.parentId) {
+          error(path + '.parentId', id, 'Model child mesh is missing parentId');
+        } else if (parent && parent.node.kind !== 'model') {
+          warn(path + '.parentId', id, 'Model child mesh parent is a ' + parent.node.kind + ', expected a model');
+        }
+      }
 
-        case 'mesh':
-          let mesh = null;
-          
-          // Check if this is a child mesh (contains ::mesh::)
-          if (node.id.includes('::mesh::') && node.parentId) {
-            // Child mesh - find by stableId (with legacy numeric fallback)
-            const MESH_TAG = '::mesh::';
-            function getChildTokenFromId(id) {
-              const i = id.lastIndexOf(MESH_TAG);
-              return i >= 0 ? id.slice(i + MESH_TAG.length) : null;
+      // Kind-specific blocks
+      if (node.kind === 'model' && (typeof node.src !== 'string' || !node.src)) {
+        error(path + '.src', id, 'Model node is missing src');
+      }
+      if (node.kind === 'mesh' && !(id && id.includes(MESH_TAG))) {
+        if (!node.primitive) {
+          warn(path + '.primitive', id, 'Mesh node has no primitive descriptor; nothing is created');
+        } else if (!PRIMITIVE_BUILDERS[node.primitive.type]) {
+          error(path + '.primitive.type', id, 'Unknown primitive type ' + JSON.stringify(node.primitive.type) + ' (expected ' + Object.keys(PRIMITIVE_BUILDERS).join(', ') + ')');
+        }
+        if (node.material !== undefined && (!node.material || !['pbr', 'standard', undefined].includes(node.material.type))) {
+          error(path + '.material.type', id, 'Inline material type must be pbr or standard');
+        }
+      }
+      if (node.materialId !== undefined) {
+        if (node.kind !== 'mesh') {
+          warn(path + '.materialId', id, 'materialId is only used on mesh nodes');
+        } else if (!materialIds.has(node.materialId)) {
+          error(path + '.materialId', id, 'Material ' + JSON.stringify(node.materialId) + ' is not declared in materials');
+        } else if (node.material !== undefined) {
+          warn(path + '.material', id, 'Both materialId and an inline material are set; materialId is used');
+        }
+      }
+      if (node.kind === 'camera' && node.camera) {
+        const cam = node.camera;
+        if (cam.type !== undefined && !CAMERA_TYPES.includes(cam.type)) {
+          warn(path + '.camera.type', id, 'Unknown camera type ' + JSON.stringify(cam.type) + ', using ArcRotate');
+        }
+        if (cam.fov !== undefined && !(isFiniteNumber(cam.fov) && cam.fov > 0)) {
+          warn(path + '.camera.fov', id, 'fov must be a positive number');
+        }
+        if (cam.target !== undefined && !isVector3(cam.target)) {
+          error(path + '.camera.target', id, 'target must be [x, y, z] numbers');
+        }
+        if (cam.targetMode === 'object' && !ids.has(cam.targetObject) && !(cam.targetObject && cam.targetObject.includes(MESH_TAG))) {
+          warn(path + '.camera.targetObject', id, 'Target object ' + JSON.stringify(cam.targetObject) + ' does not exist; static target used');
+        }
+      }
+      if (node.kind === 'light' && node.light) {
+        const light = node.light;
+        if (light.type !== undefined && !LIGHT_TYPES.includes(light.type)) {
+          warn(path + '.light.type', id, 'Unknown light type ' + JSON.stringify(light.type) + ', using Hemispheric');
+        }
+        if (light.color !== undefined && !isColorArray(light.color, 3)) {
+          warn(path + '.light.color', id, 'color must be [r, g, b] numbers');
+        }
+        if (light.intensity !== undefined && !isFiniteNumber(light.intensity)) {
+          warn(path + '.light.intensity', id, 'intensity must be a number');
+        }
+      }
+      if (node.behaviors !== undefined) {
+        if (!Array.isArray(node.behaviors)) {
+          error(path + '.behaviors', id, 'behaviors must be an array');
+        } else {
+          node.behaviors.forEach((b, j) => {
+            const bPath = path + '.behaviors[' + j + ']';
+            if (!b || !BEHAVIOR_TRIGGERS.includes(b.trigger)) {
+              error(bPath + '.trigger', id, 'Unknown behavior trigger ' + JSON.stringify(b && b.trigger));
             }
-            
-            const token = getChildTokenFromId(node.id);
-            if (token) {
-              // Primary: find by stableId
-              mesh = scene.meshes.find(m => m.metadata && m.metadata.stableId === token);
+            if (!b || !Array.isArray(b.actions)) {
+              error(bPath + '.actions', id, 'Behavior actions must be an array');
+            }
+          });
+        }
+      }
+    });
 
-              // Legacy fallback: numeric uniqueId
-              if (!mesh && /^[0-9]+$/.test(token)) {
-                const uniq = parseInt(token, 10);
-                mesh = scene.meshes.find(m => m.uniqueId === uniq);
-              }
+    // Viewpoints
+    if (graph.viewpoints !== undefined) {
+      if (!Array.isArray(graph.viewpoints)) {
+        error('viewpoints', null, 'viewpoints must be an array');
+      } else {
+        const seen = new Set();
+        graph.viewpoints.forEach((v, i) => {
+          if (!v || typeof v.id !== 'string' || !v.id) {
+            error('viewpoints[' + i + '].id', null, 'Viewpoint is missing id');
+          } else if (seen.has(v.id)) {
+            error('viewpoints[' + i + '].id', null, 'Duplicate viewpoint id ' + JSON.stringify(v.id));
+          } else {
+            seen.add(v.id);
+          }
+        });
+      }
+    }
 
-              if (mesh) {
-                // Apply child mesh transform
-                mesh.position = position;
-                if (mesh.rotationQuaternion) {
-                  mesh.rotationQuaternion = BABYLON.Quaternion.FromEulerAngles(rotation.x, rotation.y, rotation.z);
-                } else {
-                  mesh.rotation = rotation;
-                }
-                mesh.scaling = scaling;
-              } else {
-                console.warn('⚠️ RUNTIME: Child mesh not found (stableId/legacy):', node.id);
-              }
+    // Annotations
+    if (graph.annotations !== undefined) {
+      if (!Array.isArray(graph.annotations)) {
+        error('annotations', null, 'annotations must be an array');
+      } else {
+        const seen = new Set();
+        const viewpointIds = new Set((Array.isArray(graph.viewpoints) ? graph.viewpoints : []).map(v => v && v.id));
+        graph.annotations.forEach((a, i) => {
+          const aPath = 'annotations[' + i + ']';
+          if (!a || typeof a.id !== 'string' || !a.id) {
+            error(aPath + '.id', null, 'Annotation is missing id');
+            return;
+          }
+          if (seen.has(a.id)) {
+            error(aPath + '.id', null, 'Duplicate annotation id ' + JSON.stringify(a.id));
+          }
+          seen.add(a.id);
+          if (typeof a.target !== 'string' || !a.target) {
+            error(aPath + '.target', null, 'Annotation ' + JSON.stringify(a.id) + ' needs a target node id');
+          } else if (!ids.has(a.target)) {
+            // Child meshes are not always listed; their model must be
+            const tag = a.target.lastIndexOf(MESH_TAG);
+            const model = tag >= 0 ? a.target.slice(0, tag) : null;
+            if (!model || !ids.has(model)) {
+              warn(aPath + '.target', a.target, 'Annotation target ' + JSON.stringify(a.target) + ' does not exist');
             }
-          } else if (node.id === 'defaultCube') {
-            mesh = BABYLON.MeshBuilder.CreateBox(node.id, { size: 2 }, scene);
-            mesh.position = position;
-            mesh.rotation = rotation;
-            mesh.scaling = scaling;
-            
-            // Create PBR material for better IBL visualization
-            const cubeMaterial = new BABYLON.PBRMaterial('defaultCubeMaterial', scene);
-            cubeMaterial.albedoColor = new BABYLON.Color3(0.8, 0.8, 0.8);
-            cubeMaterial.metallic = 0.1;
-            cubeMaterial.roughness = 0.3;
-            mesh.material = cubeMaterial;
-          } else if (node.id === 'ground') {
-            mesh = BABYLON.MeshBuilder.CreateGround(node.id, { width: 6, height: 6 }, scene);
-            mesh.position = position;
-            mesh.rotation = rotation;
-            mesh.scaling = scaling;
-            
-            // Create PBR material for better IBL visualization
-            const groundMaterial = new BABYLON.PBRMaterial('groundMaterial', scene);
-            groundMaterial.albedoColor = new BABYLON.Color3(0.5, 0.5, 0.5);
-            groundMaterial.metallic = 0.0;
-            groundMaterial.roughness = 0.8;
-            mesh.material = groundMaterial;
           }
-          
-          // Apply visibility and enabled states
-          if (mesh) {
-            const visible = node.visible !== false;
-            const enabled = node.enabled !== false;
-            // For meshes, both visible and enabled use the visibility property
-            mesh.visibility = (visible && enabled) ? 1 : 0;
+          if (a.offset !== undefined && !isColorArray(a.offset, 3)) {
+            warn(aPath + '.offset', null, 'offset must be an array of 3 numbers');
+          }
+          if (a.viewpoint !== undefined && !viewpointIds.has(a.viewpoint)) {
+            warn(aPath + '.viewpoint', null, 'Viewpoint ' + JSON.stringify(a.viewpoint) + ' does not exist');
+          }
+        });
+      }
+    }
+
+    // WebXR (sceneSettings.xr)
+    const xr = graph.sceneSettings && graph.sceneSettings.xr;
+    if (xr !== undefined && xr !== null) {
+      if (typeof xr !== 'object' || Array.isArray(xr)) {
+        error('sceneSettings.xr', null, 'xr must be an object');
+      } else {
+        if (xr.modes !== undefined && !(Array.isArray(xr.modes) && xr.modes.every(m => XR_SESSION_MODES[m]))) {
+          warn('sceneSettings.xr.modes', null, 'modes must be an array of "vr" and/or "ar"');
+        }
+        if (xr.unitsPerMeter !== undefined && !(isFiniteNumber(xr.unitsPerMeter) && xr.unitsPerMeter > 0)) {
+          warn('sceneSettings.xr.unitsPerMeter', null, 'unitsPerMeter must be a positive number');
+        }
+        if (xr.floor !== undefined && !Array.isArray(xr.floor)) {
+          warn('sceneSettings.xr.floor', null, 'floor must be an array of mesh node ids');
+        }
+        for (const id of Array.isArray(xr.floor) ? xr.floor : []) {
+          const entry = ids.get(id);
+          if (!entry || entry.node.kind !== 'mesh') {
+            warn('sceneSettings.xr.floor', id, 'Floor ' + JSON.stringify(id) + ' is not a mesh node');
+          }
+        }
+        if (xr.placement !== undefined && !ids.has(xr.placement)) {
+          warn('sceneSettings.xr.placement', xr.placement, 'AR placement node ' + JSON.stringify(xr.placement) + ' does not exist');
+        }
+      }
+    }
+
+    // Material overrides (target materials are checked after models load)
+    if (graph.materialOverrides !== undefined) {
+      if (!graph.materialOverrides || typeof graph.materialOverrides !== 'object' || Array.isArray(graph.materialOverrides)) {
+        error('materialOverrides', null, 'materialOverrides must be an object keyed by material name');
+      } else {
+        for (const [name, props] of Object.entries(graph.materialOverrides)) {
+          if (!props || typeof props !== 'object') {
+            error('materialOverrides.' + name, null, 'Override must be an object of material properties');
+          }
+        }
+      }
+    }
+
+    return diagnostics;
+  }
+
+  // Overrides naming a material that no loaded model or primitive provides
+  function validateMaterialOverrideTargets(scene, graph) {
+    const diagnostics = [];
+    const names = new Set(scene.materials.map(m => m.name));
+    for (const name of Object.keys(graph.materialOverrides || {})) {
+      if (!names.has(name)) {
+        diagnostics.push({ level: 'error', path: 'materialOverrides.' + name, nodeId: null, message: 'Override targets missing material ' + JSON.stringify(name) });
+      }
+    }
+    return diagnostics;
+  }
+
+  // Leave out nodes validation reported as unusable (not an object, missing or duplicate id, unknown
+  // kind, malformed transform) so lenient mode loads the rest of the scene around them
+  function dropInvalidNodes(graph) {
+    const seen = new Set();
+    const nodes = graph.nodes.filter((node) => {
+      if (!node || typeof node !== 'object' || typeof node.id !== 'string' || !node.id) return false;
+      if (seen.has(node.id)) return false;
+      seen.add(node.id);
+      return NODE_KINDS.includes(node.kind) && hasUsableTransform(node);
+    });
+    if (nodes.length === graph.nodes.length) return graph;
+    console.warn('⚠️ RUNTIME: Skipping ' + (graph.nodes.length - nodes.length) + ' invalid node(s)');
+    return Object.assign({}, graph, { nodes });
+  }
+
+  // A missing transform or position places the node at the origin; present values must be vectors
+  function hasUsableTransform(node) {
+    const transform = node.transform;
+    if (transform === undefined || transform === null) return true;
+    if (typeof transform !== 'object') return false;
+    return ['position', 'rotation', 'scaling'].every(key => transform[key] === undefined || isVector3(transform[key]));
+  }
+
+  // Record diagnostics; in strict mode any error aborts loading
+  function checkDiagnostics(runtime, diagnostics) {
+    if (runtime.validation === 'off' || diagnostics.length === 0) return;
+    runtime.diagnostics.push(...diagnostics);
+    for (const d of diagnostics) {
+      const where = d.path + (d.nodeId ? ' (' + d.nodeId + ')' : '');
+      (d.level === 'error' ? console.error : console.warn)('🧪 Scene validation ' + d.level + ': ' + where + ': ' + d.message);
+    }
+    runtime.emit('diagnostics', runtime.diagnostics.slice());
+
+    const errors = diagnostics.filter(d => d.level === 'error');
+    if (runtime.validation === 'strict' && errors.length > 0) {
+      const err = new Error('Scene validation failed with ' + errors.length + ' error' + (errors.length === 1 ? '' : 's'));
+      err.diagnostics = diagnostics;
+      throw err;
+    }
+  }
+
+  const MAX_LISTED_DIAGNOSTICS = 5;
+
+  function formatDiagnosticsHtml(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) return '';
+    const items = diagnostics.slice(0, MAX_LISTED_DIAGNOSTICS)
+      .map(d => '<li>' + escapeHtml(d.path + (d.nodeId ? ' (' + d.nodeId + ')' : '') + ': ' + d.message) + '</li>')
+      .join('');
+    const more = diagnostics.length > MAX_LISTED_DIAGNOSTICS ? '<li>…and ' + (diagnostics.length - MAX_LISTED_DIAGNOSTICS) + ' more (see console)</li>' : '';
+    return '<ul class="diagnostics">' + items + more + '</ul>';
+  }
+
+  // Dismissable summary of lenient-mode problems shown over the canvas
+  function showDiagnosticsSummary(runtime) {
+    const diagnostics = runtime.diagnostics;
+    const parent = runtime.canvas.parentElement;
+    if (diagnostics.length === 0 || !parent) return;
+
+    const errors = diagnostics.filter(d => d.level === 'error').length;
+    const warnings = diagnostics.length - errors;
+    const panel = document.createElement('div');
+    panel.className = 'sceneDiagnostics';
+    panel.title = 'Click to dismiss';
+    panel.innerHTML = '<strong>Scene loaded with ' + errors + ' error' + (errors === 1 ? '' : 's') + ' and ' +
+      warnings + ' warning' + (warnings === 1 ? '' : 's') + '</strong>' + formatDiagnosticsHtml(diagnostics);
+    panel.addEventListener('click', () => panel.remove());
+    parent.appendChild(panel);
+    runtime.cleanups.push(() => panel.remove());
+  }
+
+  // Scene graph entry for an id in the scene's current graph
+  function findGraphNode(scene, id) {
+    const runtime = getRuntime(scene);
+    const nodes = (runtime && runtime.sceneGraph && runtime.sceneGraph.nodes) || [];
+    return nodes.find(n => n.id === id) || null;
+  }
+
+  // Walk a node and its graph ancestors (cycles are cut off)
+  function everyGraphAncestor(node, scene, predicate) {
+    const seen = new Set();
+    for (let current = node; current && !seen.has(current.id); current = current.parentId && scene ? findGraphNode(scene, current.parentId) : null) {
+      seen.add(current.id);
+      if (!predicate(current)) return false;
+    }
+    return true;
+  }
+
+  // Visible and enabled, including every ancestor (without a scene only the node itself is checked)
+  function isGraphNodeShown(node, scene) {
+    return !!node && everyGraphAncestor(node, scene, n => n.visible !== false && n.enabled !== false);
+  }
+
+  function isGraphNodeEnabled(node, scene) {
+    return !!node && everyGraphAncestor(node, scene, n => n.enabled !== false);
+  }
+
+  // Order nodes so every parent comes before its children, otherwise keeping file order.
+  // Nodes in a parent cycle or with a missing parent are created at the root.
+  function sortNodesByHierarchy(nodes) {
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const ordered = [];
+    const state = new Map(); // id -> 'visiting' | 'done'
+
+    const visit = (node) => {
+      if (state.get(node.id) === 'done') return;
+      if (state.get(node.id) === 'visiting') {
+        console.warn('⚠️ RUNTIME: Parent cycle detected at node, creating it at the root:', node.id);
+        return;
+      }
+      state.set(node.id, 'visiting');
+      const parent = node.parentId ? byId.get(node.parentId) : null;
+      if (parent) visit(parent);
+      state.set(node.id, 'done');
+      ordered.push(node);
+    };
+
+    nodes.forEach(visit);
+    return ordered;
+  }
+
+  // Parent a freshly created node under its graph parent (model child meshes are parented by the loader)
+  function attachToParent(node, scene) {
+    if (!node.parentId) return;
+    const child = findSceneNode(scene, node.id);
+    const parent = findSceneNode(scene, node.parentId);
+    if (!child) return;
+    if (!parent) {
+      console.warn('⚠️ RUNTIME: Parent not found, keeping node at the root:', node.id, '->', node.parentId);
+      return;
+    }
+    let ancestor = parent;
+    while (ancestor) {
+      if (ancestor === child) {
+        console.warn('⚠️ RUNTIME: Parent cycle detected at node, keeping it at the root:', node.id);
+        return;
+      }
+      ancestor = ancestor.parent;
+    }
+    // Transforms in the graph are local to the parent
+    child.parent = parent;
+  }
+
+  // Instantiate scene graph (adapted from viewer.js)
+  async function instantiateGraph(graph, scene) {
+    console.log('🏗️ Instantiating scene graph with', graph.nodes.length, 'nodes');
+
+    // Fetch and parse all models in parallel; nodes below are still created in graph order
+    preloadModelContainers(graph, scene);
+
+    // Declared materials exist before any mesh references them
+    createSceneMaterials(graph, scene);
+    
+    // First pass: Create all non-child-mesh objects (groups, models, lights, cameras, meshes), parents first
+    const childMeshNodes = [];
+    for (const node of sortNodesByHierarchy(graph.nodes)) {
+      if (node.kind === 'mesh' && node.id.includes('::mesh::') && node.parentId) {
+        // Defer child mesh processing
+        childMeshNodes.push(node);
+      } else {
+        await instantiateNode(node, scene);
+        attachToParent(node, scene);
+      }
+    }
+
+    // Second pass: Apply transforms to child meshes (after models are loaded)
+    if (childMeshNodes.length > 0) {
+      console.log('🎯 Processing', childMeshNodes.length, 'child mesh transforms...');
+      for (const node of childMeshNodes) {
+        await instantiateNode(node, scene);
+      }
+    }
+
+    // Third pass: Lock cameras onto their target objects (targets may be models loaded after the camera)
+    linkCameraTargets(graph, scene);
+
+    // Fourth pass: Register shadow casters/receivers now that every mesh exists
+    applyShadowFlags(graph, scene);
+    
+    console.log('✅ Graph instantiation complete');
+  }
+
+  // Lock cameras with targetMode 'object' onto the referenced node so they follow it when it moves
+  function linkCameraTargets(graph, scene) {
+    for (const node of graph.nodes) {
+      const cameraProps = node.camera;
+      if (node.kind !== 'camera' || !cameraProps || cameraProps.targetMode !== 'object' || !cameraProps.targetObject) {
+        continue;
+      }
+
+      const camera = scene.getCameraById(node.id);
+      const target = findSceneNode(scene, cameraProps.targetObject);
+      if (!camera) continue;
+      if (!target) {
+        console.warn('⚠️ RUNTIME: Camera target object not found, keeping static target:', node.id, '->', cameraProps.targetObject);
+        continue;
+      }
+
+      if (camera instanceof BABYLON.ArcRotateCamera) {
+        // Keep the exported orbit instead of rebuilding it from the current camera position
+        const { alpha, beta, radius } = camera;
+        camera.setTarget(target, false, false, true);
+        camera.alpha = alpha;
+        camera.beta = beta;
+        camera.radius = radius;
+      } else if (camera instanceof BABYLON.TargetCamera) {
+        camera.lockedTarget = target;
+      }
+      console.log('🎯 Camera', node.id, 'locked onto', cameraProps.targetObject);
+    }
+  }
+
+  const SHADOW_QUALITY = {
+    low: 'QUALITY_LOW',
+    medium: 'QUALITY_MEDIUM',
+    high: 'QUALITY_HIGH'
+  };
+
+  // Create a ShadowGenerator for a Directional/Spot/Point light from the node's light.shadows block
+  function createShadowGenerator(light, shadowProps) {
+    if (!(light instanceof BABYLON.ShadowLight)) {
+      console.warn('⚠️ RUNTIME: Shadows are not supported for light type:', light.getClassName(), light.id);
+      return null;
+    }
+
+    try {
+      const mapSize = numberOr(shadowProps.mapSize, 1024);
+      const generator = new BABYLON.ShadowGenerator(mapSize, light);
+      const isPointLight = light instanceof BABYLON.PointLight;
+
+      let filter = shadowProps.filter || 'pcf';
+      if ((filter === 'pcf' || filter === 'pcss' || filter === 'contactHardening') && isPointLight) {
+        console.warn('⚠️ RUNTIME: PCF/contact-hardening shadows are not available for point lights, using poisson:', light.id);
+        filter = 'poisson';
+      }
+
+      switch (filter) {
+        case 'none':
+          break;
+        case 'poisson':
+          generator.usePoissonSampling = true;
+          break;
+        case 'exponential':
+          generator.useExponentialShadowMap = true;
+          break;
+        case 'blurExponential':
+          generator.useBlurExponentialShadowMap = true;
+          generator.blurKernel = numberOr(shadowProps.blurKernel, 32);
+          break;
+        case 'closeExponential':
+          generator.useCloseExponentialShadowMap = true;
+          break;
+        case 'blurCloseExponential':
+          generator.useBlurCloseExponentialShadowMap = true;
+          generator.blurKernel = numberOr(shadowProps.blurKernel, 32);
+          break;
+        case 'pcss':
+        case 'contactHardening':
+          generator.useContactHardeningShadow = true;
+          if (isFiniteNumber(shadowProps.lightSizeUVRatio)) {
+            generator.contactHardeningLightSizeUVRatio = shadowProps.lightSizeUVRatio;
+          }
+          break;
+        case 'pcf':
+          generator.usePercentageCloserFiltering = true;
+          break;
+        default:
+          console.warn('⚠️ RUNTIME: Unknown shadow filter, using none:', filter);
+      }
+
+      const quality = SHADOW_QUALITY[shadowProps.quality];
+      if (quality) {
+        generator.filteringQuality = BABYLON.ShadowGenerator[quality];
+      }
+
+      generator.bias = numberOr(shadowProps.bias, 0.00005);
+      generator.normalBias = numberOr(shadowProps.normalBias, 0);
+      generator.setDarkness(numberOr(shadowProps.darkness, 0));
+      generator.transparencyShadow = !!shadowProps.transparencyShadow;
+
+      if (light instanceof BABYLON.DirectionalLight && shadowProps.autoCalcZBounds !== false) {
+        light.autoCalcShadowZBounds = true;
+      }
+
+      console.log('🌓 Shadow generator created for', light.id, { mapSize, filter });
+      return generator;
+    } catch (error) {
+      console.error('❌ RUNTIME: Failed to create shadow generator for', light.id, error);
+      return null;
+    }
+  }
+
+  function setMeshShadowFlags(mesh, flags, generators) {
+    if (typeof flags.receiveShadows === 'boolean') {
+      mesh.receiveShadows = flags.receiveShadows;
+    }
+    if (typeof flags.castShadows === 'boolean') {
+      for (const generator of generators) {
+        if (flags.castShadows) {
+          generator.addShadowCaster(mesh, false);
+        } else {
+          generator.removeShadowCaster(mesh, false);
+        }
+      }
+    }
+  }
+
+  // Honor castShadows/receiveShadows on primitives, models (all their meshes) and model child meshes
+  function applyShadowFlags(graph, scene) {
+    const generators = scene.lights
+      .map(light => light.getShadowGenerator && light.getShadowGenerator())
+      .filter(Boolean);
+
+    const flagged = graph.nodes.filter(n => typeof n.castShadows === 'boolean' || typeof n.receiveShadows === 'boolean');
+    if (flagged.length === 0) return;
+
+    // Models first so that flags on their '::mesh::' children win
+    const ordered = flagged.filter(n => n.kind === 'model').concat(flagged.filter(n => n.kind === 'mesh'));
+    for (const node of ordered) {
+      const target = findSceneNode(scene, node.id);
+      if (!target) continue;
+
+      if (node.kind === 'model') {
+        for (const mesh of target.getChildMeshes(false)) {
+          setMeshShadowFlags(mesh, node, generators);
+        }
+      } else if (target instanceof BABYLON.AbstractMesh) {
+        setMeshShadowFlags(target, node, generators);
+      }
+    }
+    console.log('🌓 Shadow flags applied to', flagged.length, 'nodes with', generators.length, 'shadow generators');
+  }
+
+  // MeshBuilder options accepted per primitive type (all numeric)
+  const PRIMITIVE_OPTIONS = {
+    box: ['size', 'width', 'height', 'depth'],
+    sphere: ['diameter', 'diameterX', 'diameterY', 'diameterZ', 'segments', 'arc', 'slice'],
+    cylinder: ['height', 'diameter', 'diameterTop', 'diameterBottom', 'tessellation', 'subdivisions', 'arc'],
+    plane: ['size', 'width', 'height'],
+    torus: ['diameter', 'thickness', 'tessellation'],
+    ground: ['width', 'height', 'subdivisions', 'subdivisionsX', 'subdivisionsY'],
+    capsule: ['height', 'radius', 'tessellation', 'subdivisions', 'capSubdivisions', 'radiusTop', 'radiusBottom']
+  };
+
+  const PRIMITIVE_BUILDERS = {
+    box: 'CreateBox',
+    sphere: 'CreateSphere',
+    cylinder: 'CreateCylinder',
+    plane: 'CreatePlane',
+    torus: 'CreateTorus',
+    ground: 'CreateGround',
+    capsule: 'CreateCapsule'
+  };
+
+  // Build a mesh from the node's primitive descriptor, e.g. { type: 'sphere', diameter: 2, segments: 32 }
+  function createPrimitiveMesh(node, scene) {
+    const primitive = node.primitive;
+    const builder = PRIMITIVE_BUILDERS[primitive.type];
+    if (!builder || !BABYLON.MeshBuilder[builder]) {
+      console.warn('⚠️ RUNTIME: Unsupported primitive type, node skipped:', node.id, primitive.type);
+      return null;
+    }
+
+    const options = {};
+    for (const key of PRIMITIVE_OPTIONS[primitive.type]) {
+      if (primitive[key] === undefined) continue;
+      if (isFiniteNumber(primitive[key]) && primitive[key] >= 0) {
+        options[key] = primitive[key];
+      } else {
+        console.warn('⚠️ RUNTIME: Invalid primitive option ignored:', node.id, key, primitive[key]);
+      }
+    }
+    if (primitive.doubleSided && primitive.type !== 'ground') {
+      options.sideOrientation = BABYLON.Mesh.DOUBLESIDE;
+    }
+
+    return BABYLON.MeshBuilder[builder](node.id, options, scene);
+  }
+
+  // Enum-valued material properties accepted by name, e.g. transparencyMode: 'alphaBlend'
+  const MATERIAL_ENUMS = {
+    transparencyMode: {
+      opaque: ['Material', 'MATERIAL_OPAQUE'],
+      alphaTest: ['Material', 'MATERIAL_ALPHATEST'],
+      alphaBlend: ['Material', 'MATERIAL_ALPHABLEND'],
+      alphaTestAndBlend: ['Material', 'MATERIAL_ALPHATESTANDBLEND']
+    },
+    alphaMode: {
+      disable: ['Constants', 'ALPHA_DISABLE'],
+      add: ['Constants', 'ALPHA_ADD'],
+      combine: ['Constants', 'ALPHA_COMBINE'],
+      subtract: ['Constants', 'ALPHA_SUBTRACT'],
+      multiply: ['Constants', 'ALPHA_MULTIPLY'],
+      maximized: ['Constants', 'ALPHA_MAXIMIZED'],
+      premultiplied: ['Constants', 'ALPHA_PREMULTIPLIED']
+    },
+    sideOrientation: {
+      clockwise: ['Material', 'ClockWiseSideOrientation'],
+      counterClockwise: ['Material', 'CounterClockWiseSideOrientation']
+    }
+  };
+
+  const TEXTURE_WRAP_MODES = {
+    wrap: 'WRAP_ADDRESSMODE',
+    clamp: 'CLAMP_ADDRESSMODE',
+    mirror: 'MIRROR_ADDRESSMODE'
+  };
+
+  // Numeric texture settings copied verbatim from a texture definition
+  const TEXTURE_NUMBER_PROPS = ['coordinatesIndex', 'uScale', 'vScale', 'uOffset', 'vOffset', 'uAng', 'vAng', 'wAng', 'level'];
+
+  // Material keys that describe the definition rather than a material property
+  const MATERIAL_DEF_KEYS = ['id', 'type', 'name'];
+
+  // Texture slots include nested ones such as clearCoat.texture or sheen.textureRoughness
+  function isTextureSlot(target, property, value) {
+    const isDef = typeof value === 'string' || (!!value && typeof value === 'object' && !Array.isArray(value) && typeof value.src === 'string');
+    return isDef && (isTextureProperty(property) || /texture/i.test(property) || target[property] instanceof BABYLON.BaseTexture);
+  }
+
+  // Validate a texture definition object into texture settings (wrap modes resolved to Babylon constants)
+  function readTextureSettings(def) {
+    const settings = {};
+    for (const key of TEXTURE_NUMBER_PROPS) {
+      if (def[key] === undefined) continue;
+      if (isFiniteNumber(def[key])) {
+        settings[key] = def[key];
+      } else {
+        console.warn('⚠️ RUNTIME: Invalid texture setting ignored:', def.src, key, def[key]);
+      }
+    }
+    if (typeof def.hasAlpha === 'boolean') settings.hasAlpha = def.hasAlpha;
+    for (const key of ['wrapU', 'wrapV']) {
+      if (def[key] === undefined) continue;
+      const mode = TEXTURE_WRAP_MODES[def[key]];
+      if (mode) {
+        settings[key] = BABYLON.Texture[mode];
+      } else {
+        console.warn('⚠️ RUNTIME: Unknown texture wrap mode ignored:', def.src, key, def[key]);
+      }
+    }
+    return settings;
+  }
+
+  // Settings that make two uses of the same file distinct textures
+  const TEXTURE_KEY_PROPS = TEXTURE_NUMBER_PROPS.concat(['wrapU', 'wrapV', 'hasAlpha']);
+
+  // Shared texture for a storage path + settings; every call takes a reference released by releaseTexture
+  function acquireTexture(assetStoragePath, settings, scene) {
+    const textures = getRuntime(scene).textures;
+    const url = getTextureUrl(assetStoragePath, scene);
+    if (!url) return null;
+    const key = url + '|' + TEXTURE_KEY_PROPS.map(k => settings[k] === undefined ? '' : settings[k]).join(',');
+
+    const entry = textures.get(key);
+    if (entry) {
+      entry.refs++;
+      console.log('♻️ RUNTIME: Reusing texture', entry.texture.name, '(' + entry.refs + ' references)');
+      return entry.texture;
+    }
+
+    const texture = loadTextureFromAssetPath(assetStoragePath, scene);
+    if (!texture) return null;
+    for (const k of TEXTURE_KEY_PROPS) {
+      if (settings[k] !== undefined) texture[k] = settings[k];
+    }
+    textures.set(key, { texture, refs: 1 });
+    return texture;
+  }
+
+  // Drop one reference; registry textures are disposed at zero, others (e.g. GLTF originals) once no material uses them
+  function releaseTexture(texture, scene) {
+    const textures = getRuntime(scene).textures;
+    for (const [key, entry] of textures) {
+      if (entry.texture !== texture) continue;
+      if (--entry.refs > 0) return;
+      textures.delete(key);
+      texture.dispose();
+      console.log('🗑️ RUNTIME: Disposed unused texture', texture.name);
+      return;
+    }
+
+    const inUse = scene.environmentTexture === texture ||
+      scene.materials.some(m => m.getActiveTextures().includes(texture));
+    if (!inUse) {
+      texture.dispose();
+      console.log('🗑️ RUNTIME: Disposed replaced texture', texture.name || texture.url);
+    }
+  }
+
+  // Assign a texture slot and release whatever it held before
+  function setMaterialTexture(target, property, texture, scene) {
+    const previous = target[property];
+    target[property] = texture;
+    if (previous instanceof BABYLON.BaseTexture) releaseTexture(previous, scene);
+  }
+
+  // Texture definition: 'path/to/file.png' or { src, coordinatesIndex, uScale, vScale, uOffset, vOffset, uAng, vAng, wAng, level, hasAlpha, wrapU, wrapV }
+  function createTextureFromDef(def, scene) {
+    const src = typeof def === 'string' ? def : def.src;
+    const texture = acquireTexture(src, typeof def === 'object' ? readTextureSettings(def) : {}, scene);
+    if (!texture) throw new Error('Texture could not be loaded: ' + src);
+    return texture;
+  }
+
+  // Convert a scene.json value to the type the material property expects (inferred from its current value)
+  function convertMaterialValue(target, property, value, scene) {
+    if (value === null) return null;
+
+    if (isTextureSlot(target, property, value)) {
+      return createTextureFromDef(value, scene);
+    }
+
+    const enumValues = MATERIAL_ENUMS[property];
+    if (enumValues && typeof value === 'string') {
+      const entry = enumValues[value];
+      if (!entry) throw new Error('Unknown ' + property + ' ' + JSON.stringify(value) + ' (expected ' + Object.keys(enumValues).join(', ') + ')');
+      return BABYLON[entry[0]][entry[1]];
+    }
+
+    if (!(property in target)) {
+      throw new Error('Unknown property for ' + (target.getClassName ? target.getClassName() : 'material'));
+    }
+    const current = target[property];
+    if (current === null || current === undefined) {
+      // Unset optional values (e.g. PBR metallic/roughness) only take plain numbers or booleans
+      if (isFiniteNumber(value) || typeof value === 'boolean') return value;
+      throw new Error(property + ' must be a number or true/false');
+    }
+    if (current instanceof BABYLON.BaseTexture) {
+      throw new Error(property + ' must be a texture path or { src, ... }');
+    }
+    if (current instanceof BABYLON.Color3 || current instanceof BABYLON.Color4) {
+      const isColor4 = current instanceof BABYLON.Color4;
+      if (typeof value === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) {
+        return isColor4 ? BABYLON.Color4.FromHexString(value.length === 7 ? value + 'ff' : value) : BABYLON.Color3.FromHexString(value.slice(0, 7));
+      }
+      if (isColorArray(value, isColor4 ? 4 : 3)) {
+        return isColor4 ? new BABYLON.Color4(value[0], value[1], value[2], value[3]) : new BABYLON.Color3(value[0], value[1], value[2]);
+      }
+      throw new Error(property + ' must be [r, g, b' + (isColor4 ? ', a' : '') + '] numbers or a hex string');
+    }
+    for (const [type, length] of [['Vector2', 2], ['Vector3', 3], ['Vector4', 4]]) {
+      if (current instanceof BABYLON[type]) {
+        if (!isColorArray(value, length)) throw new Error(property + ' must be an array of ' + length + ' numbers');
+        return BABYLON[type].FromArray(value);
+      }
+    }
+    if (typeof current === 'number') {
+      if (!isFiniteNumber(value)) throw new Error(property + ' must be a number');
+      return value;
+    }
+    if (typeof current === 'boolean') {
+      if (typeof value !== 'boolean') throw new Error(property + ' must be true or false');
+      return value;
+    }
+    return value;
+  }
+
+  // Apply typed properties to a material; nested objects (clearCoat, sheen, ...) are applied to the sub-configuration
+  function applyMaterialProperties(target, props, scene, label) {
+    for (const [property, value] of Object.entries(props)) {
+      if (target instanceof BABYLON.Material && MATERIAL_DEF_KEYS.includes(property)) continue;
+      try {
+        const current = target[property];
+        if (value && typeof value === 'object' && !Array.isArray(value) && !isTextureSlot(target, property, value) &&
+            current && typeof current === 'object' && !(current instanceof BABYLON.BaseTexture)) {
+          applyMaterialProperties(current, value, scene, label + '.' + property);
+          continue;
+        }
+        const converted = convertMaterialValue(target, property, value, scene);
+        if (current instanceof BABYLON.BaseTexture || converted instanceof BABYLON.BaseTexture) {
+          setMaterialTexture(target, property, converted, scene);
+        } else {
+          target[property] = converted;
+        }
+      } catch (error) {
+        console.warn('⚠️ RUNTIME: Invalid material property ignored:', label + '.' + property, error.message);
+      }
+    }
+  }
+
+  // Material definition: { id, type: 'pbr' | 'standard', name, albedoColor, metallic, albedoTexture, clearCoat: {...}, ... }
+  function createMaterialFromDef(def, fallbackName, scene) {
+    const name = def.name || def.id || fallbackName;
+    const material = def.type === 'standard' ? new BABYLON.StandardMaterial(name, scene) : new BABYLON.PBRMaterial(name, scene);
+    if (def.id) material.id = def.id;
+    applyMaterialProperties(material, def, scene, name);
+    return material;
+  }
+
+  // Create the top-level `materials` so mesh nodes can reference them by materialId
+  function createSceneMaterials(graph, scene) {
+    const runtime = getRuntime(scene);
+    for (const def of graph.materials || []) {
+      if (!def || typeof def.id !== 'string' || runtime.materials.has(def.id)) continue;
+      runtime.materials.set(def.id, createMaterialFromDef(def, def.id, scene));
+    }
+    if (runtime.materials.size > 0) {
+      console.log('🎨 Created', runtime.materials.size, 'scene materials:', Array.from(runtime.materials.keys()));
+    }
+  }
+
+  // Material for a mesh node: a scene material by materialId, otherwise an inline definition
+  function resolveNodeMaterial(node, scene) {
+    if (node.materialId) {
+      const material = getRuntime(scene).materials.get(node.materialId);
+      if (!material) console.warn('⚠️ RUNTIME: Material not found for mesh:', node.id, '->', node.materialId);
+      return material || null;
+    }
+    if (node.material) {
+      return createMaterialFromDef(node.material, node.id + 'Material', scene);
+    }
+    return null;
+  }
+
+  async function instantiateNode(node, scene) {
+    // Missing or malformed transforms were reported by validation; fall back to the origin here
+    const transform = node.transform || {};
+    const position = isVector3(transform.position) ? new BABYLON.Vector3(...transform.position) : BABYLON.Vector3.Zero();
+    const rotation = isVector3(transform.rotation) ? new BABYLON.Vector3(...transform.rotation) : BABYLON.Vector3.Zero();
+    const scaling = isVector3(transform.scaling) ? new BABYLON.Vector3(...transform.scaling) : BABYLON.Vector3.One();
+
+    try {
+      switch (node.kind) {
+        case 'camera':
+          // Create camera based on type stored in scene graph
+          let camera;
+          const cameraProps = node.camera || { type: 'ArcRotate', minZ: 0.1, maxZ: 100 };
+          
+          if (cameraProps.type === 'Universal') {
+            camera = new BABYLON.UniversalCamera(node.id, position, scene);
+            if (rotation) {
+              camera.rotation = rotation;
+            }
+          } else {
+            // ArcRotate (default)
+            const alpha = cameraProps.alpha || -Math.PI / 2;
+            const beta = cameraProps.beta || Math.PI / 2.5;
+            const radius = cameraProps.radius || position.length() || 15;
+            const target = cameraProps.target ? new BABYLON.Vector3(...cameraProps.target) : BABYLON.Vector3.Zero();
+            
+            camera = new BABYLON.ArcRotateCamera(node.id, alpha, beta, radius, target, scene);
+            
+            // Set radius limits if specified
+            if (cameraProps.lowerRadiusLimit !== undefined) {
+              camera.lowerRadiusLimit = cameraProps.lowerRadiusLimit;
+            }
+            if (cameraProps.upperRadiusLimit !== undefined) {
+              camera.upperRadiusLimit = cameraProps.upperRadiusLimit;
+            }
+          }
+          
+          // Set common camera properties (use exact values from editor)
+          camera.minZ = typeof cameraProps.minZ === 'number' ? cameraProps.minZ : 0.1;
+          camera.maxZ = typeof cameraProps.maxZ === 'number' ? cameraProps.maxZ : 100;
+          if (typeof cameraProps.fov === 'number' && cameraProps.fov > 0) {
+            camera.fov = cameraProps.fov;
+          }
+          
+          // Apply enabled state
+          const cameraEnabled = isGraphNodeEnabled(node, scene);
+          camera.setEnabled(cameraEnabled);
+          
+          // Set as active camera if marked as such (and attach controls)
+          if (cameraProps.active) {
+            scene.activeCamera = camera;
+            camera.attachControl(scene.getEngine().getRenderingCanvas(), true);
+          }
+          
+          break;
+
+        case 'light': {
+          // Create light based on saved type and properties
+          let light;
+          const lightProps = node.light || { type: 'Hemispheric', intensity: 0.7, color: [1, 1, 1], enabled: true };
+
+          switch (lightProps.type) {
+            case 'Point': {
+              light = new BABYLON.PointLight(node.id, position, scene);
+              if (lightProps.range !== undefined) {
+                light.range = lightProps.range;
+              }
+              break;
+            }
+            case 'Spot': {
+              // Compute direction from node rotation
+              let direction = new BABYLON.Vector3(0, -1, 0);
+              if (isVector3(transform.rotation)) {
+                direction = BABYLON.Vector3.Forward().rotateByQuaternionToRef(
+                  BABYLON.Quaternion.FromEulerAngles(
+                    transform.rotation[0],
+                    transform.rotation[1],
+                    transform.rotation[2]
+                  ),
+                  new BABYLON.Vector3()
+                );
+              }
+              light = new BABYLON.SpotLight(
+                node.id,
+                position,
+                direction,
+                lightProps.angle || Math.PI / 6,
+                lightProps.exponent || 1,
+                scene
+              );
+              if (lightProps.range !== undefined) {
+                light.range = lightProps.range;
+              }
+              break;
+            }
+            case 'Directional': {
+              // Compute direction from node rotation
+              let direction = new BABYLON.Vector3(0, -1, 0);
+              if (isVector3(transform.rotation)) {
+                direction = BABYLON.Vector3.Forward().rotateByQuaternionToRef(
+                  BABYLON.Quaternion.FromEulerAngles(
+                    transform.rotation[0],
+                    transform.rotation[1],
+                    transform.rotation[2]
+                  ),
+                  new BABYLON.Vector3()
+                );
+              }
+              light = new BABYLON.DirectionalLight(node.id, direction, scene);
+              // Position directional for better shadow casting
+              light.position = position;
+              break;
+            }
+            case 'Hemispheric':
+            default: {
+              const direction = new BABYLON.Vector3(0, 1, 0);
+              light = new BABYLON.HemisphericLight(node.id, direction, scene);
+              if (lightProps.groundColor) {
+                light.groundColor = new BABYLON.Color3(...lightProps.groundColor);
+              }
+              break;
+            }
+          }
+
+          // Common light properties
+          if (typeof lightProps.intensity === 'number') {
+            light.intensity = lightProps.intensity;
+          } else {
+            light.intensity = 0.7;
+          }
+          if (Array.isArray(lightProps.color) && lightProps.color.length === 3) {
+            light.diffuse = new BABYLON.Color3(...lightProps.color);
+          }
+
+          // Shadows (Hemispheric lights cannot cast them)
+          if (lightProps.shadows && lightProps.shadows.enabled) {
+            createShadowGenerator(light, lightProps.shadows);
+          }
+
+          // Apply enabled state from node
+          const lightEnabled = isGraphNodeEnabled(node, scene);
+          light.setEnabled(lightEnabled);
+          break;
+        }
+
+        case 'mesh':
+          let mesh = null;
+          
+          // Check if this is a child mesh (contains ::mesh::)
+          if (node.id.includes('::mesh::') && node.parentId) {
+            // Child mesh - find by stableId (with legacy numeric fallback)
+            const token = getChildTokenFromId(node.id);
+            if (token) {
+              mesh = findChildMesh(scene, token);
+
+              // Format 0 exports addressed child meshes by numeric uniqueId (flagged by migrateSceneGraph)
+              const legacyUniqueId = node.metadata && node.metadata.legacyUniqueId;
+              if (!mesh && typeof legacyUniqueId === 'number') {
+                mesh = scene.meshes.find(m => m.uniqueId === legacyUniqueId) || null;
+                if (mesh) {
+                  mesh.metadata = Object.assign({}, mesh.metadata, { stableId: token });
+                }
+              }
+
+              if (mesh) {
+                // Apply child mesh transform
+                mesh.position = position;
+                if (mesh.rotationQuaternion) {
+                  mesh.rotationQuaternion = BABYLON.Quaternion.FromEulerAngles(rotation.x, rotation.y, rotation.z);
+                } else {
+                  mesh.rotation = rotation;
+                }
+                mesh.scaling = scaling;
+                if (node.materialId) {
+                  const material = resolveNodeMaterial(node, scene);
+                  if (material) mesh.material = material;
+                }
+              } else {
+                console.warn('⚠️ RUNTIME: Child mesh not found (stableId/legacy):', node.id);
+              }
+            }
+          } else if (node.primitive) {
+            mesh = createPrimitiveMesh(node, scene);
+            if (mesh) {
+              mesh.position = position;
+              mesh.rotation = rotation;
+              mesh.scaling = scaling;
+              const material = resolveNodeMaterial(node, scene);
+              if (material) mesh.material = material;
+            }
+          }
+          
+          // Apply visibility and enabled states (inherited from every ancestor in the graph)
+          if (mesh) {
+            // For meshes, both visible and enabled use the visibility property
+            mesh.visibility = isGraphNodeShown(node, scene) ? 1 : 0;
+          }
+          break;
+
+        case 'model':
+          if (node.src) {
+            await loadModelFromAssets(node, scene);
+          }
+          break;
+
+        case 'group': {
+          // Empty transform used to group other nodes
+          const group = new BABYLON.TransformNode(node.id, scene);
+          group.position = position;
+          group.rotation = rotation;
+          group.scaling = scaling;
+          group.setEnabled(node.enabled !== false);
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to instantiate node ' + node.id + ':', error);
+    }
+  }
+
+  // Load (once) the AssetContainer for a resolved asset path; repeated references share the promise
+  function loadModelContainer(assetPath, scene) {
+    const runtime = getRuntime(scene);
+    const cached = runtime.modelCache.get(assetPath);
+    if (cached) return cached;
+
+    const promise = runtime.modelQueue(async () => {
+      console.log('🔗 Loading model from:', assetPath);
+      const onProgress = (event) => reportAssetProgress(scene, assetPath, event);
+
+      try {
+        // Load the asset container with proper rootUrl/filename for GLTF so sidecars resolve correctly
+        // The extension is passed explicitly so signed/query-string URLs still pick the right plugin
+        let container = null;
+        const extension = getUrlExtension(assetPath) || undefined;
+        const verified = await fetchVerifiedAsset(assetPath, scene);
+        if (verified) {
+          // Integrity-checked bytes are loaded as downloaded; sidecars still resolve next to the URL.
+          // The browser hands the body over only once it matched, so progress completes in one step.
+          const pathPart = assetPath.split('?')[0];
+          const rootUrl = pathPart.substring(0, pathPart.lastIndexOf('/') + 1);
+          onProgress({ loaded: verified.size, total: verified.size, lengthComputable: true });
+          // Binary formats load from the buffer; JSON .gltf goes in as inline data
+          const data = extension === '.gltf' ? 'data:' + await verified.text() : new Uint8Array(await verified.arrayBuffer());
+          container = await BABYLON.SceneLoader.LoadAssetContainerAsync(rootUrl, data, scene, null, extension);
+        } else if (extension === '.gltf') {
+          const pathPart = assetPath.split('?')[0];
+          const rootUrl = pathPart.substring(0, pathPart.lastIndexOf('/') + 1);
+          const filename = assetPath.substring(rootUrl.length);
+          console.log('🔗 GLTF Root URL:', rootUrl);
+          console.log('🔗 GLTF Filename:', filename);
+          container = await BABYLON.SceneLoader.LoadAssetContainerAsync(rootUrl, filename, scene, onProgress, extension);
+        } else {
+          container = await BABYLON.SceneLoader.LoadAssetContainerAsync('', assetPath, scene, onProgress, extension);
+        }
+        reportAssetLoaded(scene, assetPath, true);
+        runtime.cleanups.push(() => container.dispose());
+        return container;
+      } catch (error) {
+        reportAssetLoaded(scene, assetPath, false);
+        throw error;
+      }
+    });
+    runtime.modelCache.set(assetPath, promise);
+    // A failed load is retried by the next reference instead of failing it from the cache
+    promise.catch(() => {
+      if (runtime.modelCache.get(assetPath) === promise) runtime.modelCache.delete(assetPath);
+    });
+    return promise;
+  }
+
+  // Run async tasks with at most `limit` in flight
+  function createTaskQueue(limit) {
+    const max = Math.max(1, Math.floor(numberOr(limit, 4)));
+    const waiting = [];
+    let active = 0;
+
+    const next = () => {
+      if (active >= max || waiting.length === 0) return;
+      const { task, resolve, reject } = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+  }
+
+  // Start downloading every model of the graph concurrently (bounded by the queue)
+  function preloadModelContainers(graph, scene) {
+    for (const node of graph.nodes) {
+      if (node.kind === 'model' && node.src) {
+        // Errors surface when the node itself is instantiated
+        const assetPath = resolveAssetUrl(node.src, scene);
+        if (assetPath) loadModelContainer(assetPath, scene).catch(() => {});
+      }
+    }
+  }
+
+  // Model nodes of the current graph that load the same source
+  function countModelUses(scene, src) {
+    const runtime = getRuntime(scene);
+    return (runtime.sceneGraph ? runtime.sceneGraph.nodes : []).filter(n => n.kind === 'model' && n.src === src).length;
+  }
+
+  // Put a cached container's models into the scene. Earlier uses get clones; the last use of the graph
+  // (the only one for single-use models) takes the loaded meshes themselves. Those are re-parented and
+  // trimmed afterwards, so the container is then dropped from the cache and a later use reloads it.
+  function instantiateModelContainer(container, scene, assetPath, uses) {
+    const instances = ((container.metadata && container.metadata.instances) || 0) + 1;
+    container.metadata = Object.assign({}, container.metadata, { instances });
+    if (instances >= uses) {
+      getRuntime(scene).modelCache.delete(assetPath);
+      container.addAllToScene();
+      container.meshes.forEach(mesh => {
+        mesh.metadata = Object.assign({}, mesh.metadata);
+      });
+      return { meshes: container.meshes.slice(), animationGroups: container.animationGroups.slice() };
+    }
+
+    if (!container.metadata.sharedAssetsAdded) {
+      // Materials and textures are shared by every instance and live in the scene so overrides find them
+      container.materials.forEach(m => scene.addMaterial(m));
+      (container.multiMaterials || []).forEach(m => scene.addMultiMaterial(m));
+      container.textures.forEach(t => scene.addTexture(t));
+      container.metadata = Object.assign({}, container.metadata, { sharedAssetsAdded: true });
+    }
+
+    const entries = container.instantiateModelsToScene(name => name, false, { doNotInstantiate: true });
+    const clones = [];
+    for (const root of entries.rootNodes) {
+      if (root instanceof BABYLON.AbstractMesh) clones.push(root);
+      clones.push(...root.getChildMeshes(false));
+    }
+    // Keep the loader's mesh order so the (name, occurrence) child mapping stays deterministic
+    clones.sort((a, b) => container.meshes.indexOf(a.source) - container.meshes.indexOf(b.source));
+    clones.forEach(mesh => {
+      mesh.metadata = Object.assign({}, mesh.metadata);
+    });
+    return { meshes: clones, animationGroups: entries.animationGroups };
+  }
+
+  async function loadModelFromAssets(node, scene) {
+    if (!scene || !node.src) return;
+
+    try {
+      // Convert storage path to asset URL (assets.json / resolveAsset)
+      const assetPath = resolveAssetUrl(node.src, scene);
+      if (!assetPath) throw new Error('Model asset failed its integrity check: ' + node.src);
+      const container = await loadModelContainer(assetPath, scene);
+      const result = instantiateModelContainer(container, scene, assetPath, countModelUses(scene, node.src));
+      
+      if (result.meshes.length > 0) {
+        // Create a parent transform node
+        const parentNode = new BABYLON.TransformNode(node.id, scene);
+        const transform = node.transform || {};
+        if (isVector3(transform.position)) {
+          parentNode.position = new BABYLON.Vector3(...transform.position);
+        }
+        
+        if (isVector3(transform.rotation)) {
+          parentNode.rotation = new BABYLON.Vector3(...transform.rotation);
+        }
+        if (isVector3(transform.scaling)) {
+          parentNode.scaling = new BABYLON.Vector3(...transform.scaling);
+        }
+
+        // Parent all loaded meshes to the transform node
+        result.meshes.forEach(mesh => {
+          mesh.parent = parentNode;
+        });
+
+        // Apply visibility and enabled states with proper inheritance
+        const parentShown = isGraphNodeShown(node, scene);
+        
+        // PATCH: assign stableId to runtime meshes from SceneGraph children, then apply states
+        // 1) Gather SceneGraph child nodes of this model (authored mesh nodes parented to it are not model meshes)
+        const runtime = getRuntime(scene);
+        const childNodes = (runtime?.sceneGraph?.nodes || []).filter(n => n.parentId === node.id && n.kind === 'mesh' && n.id.includes(MESH_TAG));
+
+        // 2) Build a deterministic map of (name, occurrenceIndex) -> { node, token }
+        const sgIndex = new Map();
+        {
+          const nameCounts = new Map(); // lowercased name -> next index
+          for (const cn of childNodes) {
+            const nm = (cn.name || 'Mesh').toLowerCase();
+            const idx = nameCounts.get(nm) || 0;
+            nameCounts.set(nm, idx + 1);
+
+            const token = getChildTokenFromId(cn.id) || '';
+            const key = `${nm}::${idx}`;
+            sgIndex.set(key, { node: cn, token });
+          }
+        }
+
+        // 3) Walk runtime meshes in the same deterministic fashion
+        {
+          const nameCounts = new Map();
+          
+          // Keep the __root__ wrapper mesh (Babylon's container mesh) out of the scene
+          result.meshes
+            .filter(m => !(m instanceof BABYLON.Mesh) || m.name === "__root__")
+            .forEach(m => scene.removeMesh(m));
+          const actualMeshes = result.meshes
+            .filter(m => m instanceof BABYLON.Mesh)
+            .filter(m => m.name !== "__root__");
+          
+          for (const mesh of actualMeshes) {
+            if (!mesh.metadata) mesh.metadata = {};
+            const nm = (mesh.name || 'Mesh').toLowerCase();
+            const idx = nameCounts.get(nm) || 0;
+            nameCounts.set(nm, idx + 1);
+
+            const key = `${nm}::${idx}`;
+            const entry = sgIndex.get(key);
+
+            if (entry) {
+              const { node: childNode, token } = entry;
+
+              // Assign runtime stableId from graph token
+              mesh.metadata.stableId = token;
+
+              // Apply visibility/enabled with parent inheritance
+              const childVisible = childNode.visible !== false;
+              const childEnabled = childNode.enabled !== false;
+              const effectiveVisible = childVisible && childEnabled && parentShown;
+
+              mesh.visibility = effectiveVisible ? 1 : 0;
+            } else {
+              // No saved child node — this mesh was deleted, so dispose it
+              console.log('🗑️ RUNTIME: Skipping deleted child mesh:', mesh.name);
+              mesh.dispose();
+            }
+          }
+        }
+
+        // Start animation groups after adding to scene (per the node's animation block)
+        if (result.animationGroups && result.animationGroups.length > 0) {
+          configureModelAnimations(node, result.animationGroups, scene);
+        }
+        
+        console.log('✅ Model loaded successfully:', node.name);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load model ' + node.name + ':', error);
+    }
+  }
+
+  // Animation groups loaded for a model node
+  function getModelAnimationGroups(scene, nodeId) {
+    const runtime = getRuntime(scene);
+    return (runtime && runtime.animationGroups.get(nodeId)) || [];
+  }
+
+  function findAnimationGroup(scene, nodeId, clip) {
+    const groups = getModelAnimationGroups(scene, nodeId);
+    const group = groups.find(g => g.name === clip) || null;
+    if (!group) {
+      console.warn('⚠️ RUNTIME: Animation clip not found on', nodeId + ':', clip, 'available:', groups.map(g => g.name));
+    }
+    return group;
+  }
+
+  function setGroupWeight(group, weight) {
+    if ('weight' in group) {
+      group.weight = weight;
+    } else {
+      group.setWeightForAllAnimatables(weight);
+    }
+  }
+
+  function getGroupWeight(group) {
+    return 'weight' in group && group.weight >= 0 ? group.weight : 1;
+  }
+
+  // Start a clip; options: { loop, speed, from, to, startFrame, weight, additive }
+  function startAnimationGroup(group, options) {
+    const opts = options || {};
+    const loop = opts.loop !== undefined ? opts.loop !== false && opts.loop !== 'once' : true;
+    const speed = numberOr(opts.speed, 1);
+    const from = numberOr(opts.from, group.from);
+    const to = numberOr(opts.to, group.to);
+
+    group.start(loop, speed, from, to, !!opts.additive);
+    if (isFiniteNumber(opts.startFrame)) {
+      group.goToFrame(opts.startFrame);
+    }
+    if (isFiniteNumber(opts.weight)) {
+      setGroupWeight(group, opts.weight);
+    }
+    return group;
+  }
+
+  // Apply the node's `animation` block: { clip, loop, speed, startFrame, from, to, autoplay }
+  // Without a block every clip loops at normal speed, as exported scenes always did.
+  function configureModelAnimations(node, groups, scene) {
+    const runtime = getRuntime(scene);
+    if (runtime) {
+      runtime.animationGroups.set(node.id, groups);
+    }
+
+    // Loaders may auto-start the first clip; the animation block decides what plays
+    groups.forEach(g => g.stop());
+
+    const anim = node.animation;
+    if (!anim) {
+      console.log(`🎬 Starting ${groups.length} animation groups for ${node.name}`);
+      groups.forEach(animGroup => {
+        animGroup.start(true, 1.0, animGroup.from, animGroup.to, false);
+      });
+      console.log('✅ Animation groups started');
+      return;
+    }
+
+    if (anim.autoplay === false) {
+      console.log('🎬 Animation autoplay disabled for', node.name, '- clips:', groups.map(g => g.name));
+      return;
+    }
+
+    const targets = anim.clip ? groups.filter(g => g.name === anim.clip) : groups;
+    if (anim.clip && targets.length === 0) {
+      console.warn('⚠️ RUNTIME: Animation clip not found on', node.id + ':', anim.clip, 'available:', groups.map(g => g.name));
+      return;
+    }
+
+    targets.forEach(g => startAnimationGroup(g, anim));
+    console.log('🎬 Started', targets.map(g => g.name), 'for', node.name, { loop: anim.loop, speed: anim.speed });
+  }
+
+  function playModelAnimation(scene, nodeId, clip, options) {
+    const group = findAnimationGroup(scene, nodeId, clip);
+    if (!group) return null;
+    if (group.isStarted && !group.isPlaying && !(options && options.restart)) {
+      // Resume a paused clip
+      group.play(group.loopAnimation);
+      return group;
+    }
+    return startAnimationGroup(group, options);
+  }
+
+  function pauseModelAnimation(scene, nodeId, clip) {
+    const groups = clip ? [findAnimationGroup(scene, nodeId, clip)] : getModelAnimationGroups(scene, nodeId);
+    groups.filter(Boolean).forEach(g => g.pause());
+  }
+
+  function stopModelAnimation(scene, nodeId, clip) {
+    const groups = clip ? [findAnimationGroup(scene, nodeId, clip)] : getModelAnimationGroups(scene, nodeId);
+    groups.filter(Boolean).forEach(g => g.stop());
+  }
+
+  // Blend a playing clip with others by setting its influence (0..1)
+  function setModelAnimationWeight(scene, nodeId, clip, weight) {
+    const group = findAnimationGroup(scene, nodeId, clip);
+    if (group) {
+      setGroupWeight(group, Math.max(0, Math.min(1, numberOr(weight, 1))));
+    }
+  }
+
+  // Fade `clip` in and every other playing clip of the node out over `duration` ms
+  function crossfadeModelAnimation(scene, nodeId, clip, duration, options) {
+    const group = findAnimationGroup(scene, nodeId, clip);
+    if (!group) return Promise.resolve(null);
+
+    const fadeMs = Math.max(0, numberOr(duration, 500));
+    const outgoing = getModelAnimationGroups(scene, nodeId).filter(g => g !== group && g.isPlaying);
+    const startWeights = outgoing.map(getGroupWeight);
+    const fades = getRuntime(scene).animationFades;
+
+    // Cancel a crossfade still running on this node
+    const previous = fades.get(nodeId);
+    if (previous) previous.cancel();
+
+    if (!group.isPlaying) {
+      startAnimationGroup(group, Object.assign({}, options, { weight: 0 }));
+    }
+    const fromWeight = getGroupWeight(group);
+
+    return new Promise(resolve => {
+      let elapsed = 0;
+      const finish = () => {
+        scene.onBeforeRenderObservable.remove(observer);
+        fades.delete(nodeId);
+        resolve(group);
+      };
+      const step = () => {
+        elapsed += scene.getEngine().getDeltaTime();
+        const t = fadeMs > 0 ? Math.min(1, elapsed / fadeMs) : 1;
+        setGroupWeight(group, fromWeight + (1 - fromWeight) * t);
+        outgoing.forEach((g, i) => setGroupWeight(g, startWeights[i] * (1 - t)));
+        if (t >= 1) {
+          outgoing.forEach(g => {
+            g.stop();
+            setGroupWeight(g, 1);
+          });
+          finish();
+        }
+      };
+      const observer = scene.onBeforeRenderObservable.add(step);
+      fades.set(nodeId, { cancel: finish });
+    });
+  }
+
+  // Whether a Babylon node created for the scene graph currently shows
+  function isSceneNodeVisible(target) {
+    if (target instanceof BABYLON.AbstractMesh) {
+      return target.isEnabled() && target.visibility > 0;
+    }
+    if (target instanceof BABYLON.TransformNode) {
+      return target.isEnabled() && target.getChildMeshes(false).some(m => m.visibility > 0);
+    }
+    return target.isEnabled();
+  }
+
+  // Show or hide a scene graph node; returns false when the id does not resolve
+  function setNodeVisibility(scene, id, visible) {
+    const target = findSceneNode(scene, id);
+    if (!target) {
+      console.warn('⚠️ RUNTIME: Cannot set visibility, node not found:', id);
+      return false;
+    }
+
+    if (target instanceof BABYLON.TransformNode) {
+      // Meshes, models and groups: the node's own meshes plus every descendant mesh.
+      // For meshes, both visible and enabled use the visibility property.
+      const meshes = target.getChildMeshes(false);
+      if (target instanceof BABYLON.AbstractMesh) meshes.unshift(target);
+      for (const mesh of meshes) {
+        // Keep descendants that are hidden in the graph hidden
+        const ids = resolveGraphNodeIds(scene, mesh);
+        const below = ids.indexOf(id) >= 0 ? ids.slice(0, ids.indexOf(id)) : [];
+        const hiddenBelow = below.some(childId => !isGraphNodeShown(findGraphNode(scene, childId), null));
+        mesh.visibility = visible && !hiddenBelow ? 1 : 0;
+      }
+    } else {
+      // Lights and cameras
+      target.setEnabled(!!visible);
+    }
+    return true;
+  }
+
+  // Map Babylon nodes back to scene graph ids, walking up from a picked mesh
+  function resolveGraphNodeIds(scene, babylonNode) {
+    const runtime = getRuntime(scene);
+    const graphNodes = (runtime && runtime.sceneGraph && runtime.sceneGraph.nodes) || [];
+    const ids = [];
+    for (let current = babylonNode; current; current = current.parent) {
+      const token = current.metadata && current.metadata.stableId;
+      const childNode = token ? graphNodes.find(n => n.id.endsWith(MESH_TAG + token)) : null;
+      if (childNode) {
+        ids.push(childNode.id);
+      } else if (graphNodes.some(n => n.id === current.id)) {
+        ids.push(current.id);
+      }
+    }
+    return ids;
+  }
+
+  // First graph node (picked node first, then its ancestors) with a behavior for `trigger`
+  function findBehaviorOwner(scene, babylonNode, trigger) {
+    const runtime = getRuntime(scene);
+    for (const id of resolveGraphNodeIds(scene, babylonNode)) {
+      const behaviors = runtime.behaviors.get(id);
+      if (behaviors && behaviors.some(b => b.trigger === trigger)) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  function fireBehaviors(scene, ownerId, trigger, event) {
+    const behaviors = getRuntime(scene).behaviors.get(ownerId) || [];
+    for (const behavior of behaviors) {
+      if (behavior.trigger === trigger) {
+        runBehaviorActions(scene, behavior.actions, ownerId, event);
+      }
+    }
+  }
+
+  // Only allow navigation to web and mail links from scene data
+  function isSafeUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return ['http:', 'https:', 'mailto:'].includes(parsed.protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  // Action interpreter for behaviors; `ownerId` is the default target
+  async function runBehaviorActions(scene, actions, ownerId, event) {
+    for (const action of actions || []) {
+      const target = action.target || ownerId;
+      try {
+        switch (action.type) {
+          case 'toggleVisibility': {
+            const node = findSceneNode(scene, target);
+            if (node) setNodeVisibility(scene, target, !isSceneNodeVisible(node));
+            break;
+          }
+          case 'setVisibility':
+            setNodeVisibility(scene, target, action.visible !== false);
+            break;
+          case 'playAnimation':
+            if (isFiniteNumber(action.crossfade)) {
+              crossfadeModelAnimation(scene, target, action.clip, action.crossfade, action);
+            } else {
+              playModelAnimation(scene, target, action.clip, Object.assign({ restart: true }, action));
+            }
+            break;
+          case 'pauseAnimation':
+            pauseModelAnimation(scene, target, action.clip);
+            break;
+          case 'stopAnimation':
+            stopModelAnimation(scene, target, action.clip);
+            break;
+          case 'materialOverride':
+            if (action.material && action.properties) {
+              applyMaterialOverrides(scene, { [action.material]: action.properties });
+            }
+            break;
+          case 'moveCamera':
+            await animateCameraTo(scene, action, action);
+            break;
+          case 'goToViewpoint':
+            await goToViewpoint(scene, action.viewpoint, action);
+            break;
+          case 'openUrl':
+            if (action.url && isSafeUrl(action.url)) {
+              window.open(action.url, action.newWindow === false ? '_self' : '_blank', 'noopener');
+            } else {
+              console.warn('⚠️ RUNTIME: Refusing to open URL from behavior:', action.url);
+            }
+            break;
+          case 'wait':
+            await new Promise(resolve => setTimeout(resolve, numberOr(action.duration, 0)));
+            break;
+          default:
+            console.warn('⚠️ RUNTIME: Unknown behavior action:', action.type);
+        }
+      } catch (error) {
+        console.error('❌ RUNTIME: Behavior action failed:', action.type, error);
+      }
+    }
+    const runtime = getRuntime(scene);
+    if (runtime && ownerId) {
+      runtime.emit('behavior', { nodeId: ownerId, trigger: event && event.trigger, actions });
+    }
+  }
+
+  // Register pointer and proximity observers for nodes that declare `behaviors`
+  function setupBehaviors(scene, graph) {
+    const runtime = getRuntime(scene);
+    // Live reloads call this again; drop the observers of the previous graph
+    for (const [observable, observer] of runtime.behaviorObservers.splice(0)) {
+      observable.remove(observer);
+    }
+    const observe = (observable, callback, mask) => {
+      runtime.behaviorObservers.push([observable, observable.add(callback, mask)]);
+    };
+    runtime.behaviors = new Map();
+    for (const node of graph.nodes) {
+      if (Array.isArray(node.behaviors) && node.behaviors.length > 0) {
+        runtime.behaviors.set(node.id, node.behaviors.filter(b => b && b.trigger && Array.isArray(b.actions)));
+      }
+    }
+
+    const all = Array.from(runtime.behaviors.values()).flat();
+    const hasHover = all.some(b => b.trigger === 'hover' || b.trigger === 'hoverOut');
+    const proximity = Array.from(runtime.behaviors.entries())
+      .filter(([, list]) => list.some(b => b.trigger === 'proximity' || b.trigger === 'proximityExit'));
+
+    // Clicks (taps, so orbit drags do not trigger actions) and pick events for host pages
+    observe(scene.onPointerObservable, pointerInfo => {
+      const pick = pointerInfo.pickInfo;
+      if (!pick || !pick.hit || !pick.pickedMesh) return;
+      const ids = resolveGraphNodeIds(scene, pick.pickedMesh);
+      if (ids.length > 0) {
+        runtime.emit('pick', { nodeId: ids[0], ancestors: ids.slice(1), point: pick.pickedPoint ? pick.pickedPoint.asArray() : null });
+      }
+      const owner = findBehaviorOwner(scene, pick.pickedMesh, 'click');
+      if (owner) fireBehaviors(scene, owner, 'click', { trigger: 'click', pick });
+    }, BABYLON.PointerEventTypes.POINTERTAP);
+
+    // Hover enter/leave
+    if (hasHover) {
+      let hovered = null;
+      observe(scene.onPointerObservable, () => {
+        const pick = scene.pick(scene.pointerX, scene.pointerY);
+        const owner = pick && pick.hit && pick.pickedMesh
+          ? findBehaviorOwner(scene, pick.pickedMesh, 'hover') || findBehaviorOwner(scene, pick.pickedMesh, 'hoverOut')
+          : null;
+        if (owner === hovered) return;
+        if (hovered) fireBehaviors(scene, hovered, 'hoverOut', { trigger: 'hoverOut' });
+        hovered = owner;
+        if (hovered) fireBehaviors(scene, hovered, 'hover', { trigger: 'hover' });
+      }, BABYLON.PointerEventTypes.POINTERMOVE);
+    }
+
+    // Proximity: camera within `distance` of the node
+    if (proximity.length > 0) {
+      const inside = new Set();
+      observe(scene.onBeforeRenderObservable, () => {
+        const camera = scene.activeCamera;
+        if (!camera) return;
+        const cameraPosition = camera.globalPosition || camera.position;
+        for (const [id, list] of proximity) {
+          const target = findSceneNode(scene, id);
+          if (!target || !target.getAbsolutePosition) continue;
+          const behavior = list.find(b => b.trigger === 'proximity') || list[0];
+          const distance = numberOr(behavior.distance, 5);
+          const isInside = BABYLON.Vector3.Distance(cameraPosition, target.getAbsolutePosition()) <= distance;
+          if (isInside && !inside.has(id)) {
+            inside.add(id);
+            fireBehaviors(scene, id, 'proximity', { trigger: 'proximity' });
+          } else if (!isInside && inside.has(id)) {
+            inside.delete(id);
+            fireBehaviors(scene, id, 'proximityExit', { trigger: 'proximityExit' });
+          }
+        }
+      });
+    }
+
+    if (runtime.behaviors.size > 0) {
+      console.log('🖱️ Behaviors registered for', runtime.behaviors.size, 'nodes');
+    }
+  }
+
+  const EASING_CLASSES = {
+    sine: 'SineEase',
+    quad: 'QuadraticEase',
+    cubic: 'CubicEase',
+    quart: 'QuarticEase',
+    circle: 'CircleEase',
+    back: 'BackEase',
+    bounce: 'BounceEase',
+    elastic: 'ElasticEase'
+  };
+
+  const EASING_MODES = {
+    in: 'EASINGMODE_EASEIN',
+    out: 'EASINGMODE_EASEOUT',
+    inOut: 'EASINGMODE_EASEINOUT'
+  };
+
+  // Easing function t -> t' from a Babylon easing name ('cubic', 'sine', ...) and mode ('in', 'out', 'inOut')
+  function createEasing(name, mode) {
+    if (name === 'linear') return t => t;
+    const className = EASING_CLASSES[name || 'cubic'];
+    if (!className || !BABYLON[className]) {
+      console.warn('⚠️ RUNTIME: Unknown easing, using cubic:', name);
+      return createEasing('cubic', mode);
+    }
+    const easing = new BABYLON[className]();
+    easing.setEasingMode(BABYLON.EasingFunction[EASING_MODES[mode] || EASING_MODES.inOut]);
+    return t => easing.ease(t);
+  }
+
+  // Shortest signed angle from `from` to `to` so orbits do not spin the long way round
+  function shortestAngleDelta(from, to) {
+    const twoPi = Math.PI * 2;
+    let delta = (to - from) % twoPi;
+    if (delta > Math.PI) delta -= twoPi;
+    if (delta < -Math.PI) delta += twoPi;
+    return delta;
+  }
+
+  // Animate the active camera to a pose: { alpha, beta, radius, target, targetObject, fov } for
+  // ArcRotate cameras or { position, rotation, fov } for Universal ones. Resolves when it arrives.
+  function animateCameraTo(scene, pose, options) {
+    const runtime = getRuntime(scene);
+    const camera = scene.activeCamera;
+    if (!camera || !pose) return Promise.resolve(false);
+
+    if (runtime.cameraTransition) {
+      runtime.cameraTransition.cancel();
+    }
+
+    const opts = options || {};
+    const duration = Math.max(0, numberOr(opts.duration, 1000));
+    const ease = createEasing(opts.easing, opts.easingMode);
+    const isArc = camera instanceof BABYLON.ArcRotateCamera;
+
+    const lockTarget = isArc && pose.targetObject ? findSceneNode(scene, pose.targetObject) : null;
+    if (pose.targetObject && isArc && !lockTarget) {
+      console.warn('⚠️ RUNTIME: Viewpoint target object not found:', pose.targetObject);
+    }
+
+    const from = {
+      alpha: camera.alpha,
+      beta: camera.beta,
+      radius: camera.radius,
+      target: isArc ? camera.target.clone() : null,
+      position: camera.position.clone(),
+      rotation: camera.rotation ? camera.rotation.clone() : null,
+      fov: camera.fov
+    };
+    const to = {
+      alpha: isFiniteNumber(pose.alpha) ? from.alpha + shortestAngleDelta(from.alpha, pose.alpha) : from.alpha,
+      beta: numberOr(pose.beta, from.beta),
+      radius: numberOr(pose.radius, from.radius),
+      target: lockTarget ? lockTarget.getAbsolutePosition().clone()
+        : Array.isArray(pose.target) ? new BABYLON.Vector3(...pose.target) : from.target,
+      position: Array.isArray(pose.position) ? new BABYLON.Vector3(...pose.position) : from.position,
+      rotation: Array.isArray(pose.rotation) ? new BABYLON.Vector3(...pose.rotation) : from.rotation,
+      fov: numberOr(pose.fov, from.fov)
+    };
+
+    // Moving to a fixed target releases any object lock; the lock is re-applied on arrival
+    if (isArc && (lockTarget || Array.isArray(pose.target))) {
+      camera.setTarget(from.target.clone(), false, true, true);
+    }
+
+    const apply = (t) => {
+      if (isArc) {
+        camera.alpha = from.alpha + (to.alpha - from.alpha) * t;
+        camera.beta = from.beta + (to.beta - from.beta) * t;
+        camera.radius = from.radius + (to.radius - from.radius) * t;
+        camera.target.copyFrom(BABYLON.Vector3.Lerp(from.target, to.target, t));
+      } else {
+        camera.position.copyFrom(BABYLON.Vector3.Lerp(from.position, to.position, t));
+        if (from.rotation && to.rotation) {
+          camera.rotation.copyFrom(BABYLON.Vector3.Lerp(from.rotation, to.rotation, t));
+        }
+      }
+      camera.fov = from.fov + (to.fov - from.fov) * t;
+    };
+
+    return new Promise(resolve => {
+      let elapsed = 0;
+      let observer = null;
+      const finish = (arrived) => {
+        if (observer) scene.onBeforeRenderObservable.remove(observer);
+        if (runtime.cameraTransition === transition) runtime.cameraTransition = null;
+        if (arrived && lockTarget) {
+          const { alpha, beta, radius } = camera;
+          camera.setTarget(lockTarget, false, false, true);
+          camera.alpha = alpha;
+          camera.beta = beta;
+          camera.radius = radius;
+        }
+        resolve(arrived);
+      };
+      const transition = { cancel: () => finish(false) };
+      runtime.cameraTransition = transition;
+
+      if (duration === 0) {
+        apply(1);
+        finish(true);
+        return;
+      }
+      observer = scene.onBeforeRenderObservable.add(() => {
+        elapsed += scene.getEngine().getDeltaTime();
+        const t = Math.min(1, elapsed / duration);
+        apply(ease(t));
+        if (t >= 1) finish(true);
+      });
+    });
+  }
+
+  function getViewpoints(scene) {
+    const runtime = getRuntime(scene);
+    const list = runtime && runtime.sceneGraph && runtime.sceneGraph.viewpoints;
+    return Array.isArray(list) ? list : [];
+  }
+
+  // Animate to a named viewpoint; per-call options override the viewpoint's duration/easing
+  async function goToViewpoint(scene, id, options) {
+    const viewpoint = getViewpoints(scene).find(v => v.id === id);
+    if (!viewpoint) {
+      console.warn('⚠️ RUNTIME: Viewpoint not found:', id);
+      return false;
+    }
+    const runtime = getRuntime(scene);
+    runtime.emit('viewpointchange', { id, viewpoint });
+    const opts = Object.assign({ duration: viewpoint.duration, easing: viewpoint.easing, easingMode: viewpoint.easingMode }, options);
+    const arrived = await animateCameraTo(scene, viewpoint, opts);
+    if (arrived) {
+      runtime.activeViewpoint = id;
+      if (runtime.viewpointMenu) {
+        for (const button of runtime.viewpointMenu.querySelectorAll('button')) {
+          button.classList.toggle('active', button.dataset.viewpoint === id);
+        }
+      }
+      runtime.emit('viewpoint', { id, viewpoint });
+    }
+    return arrived;
+  }
+
+  // Read `#view=<id>` from the page URL
+  function getViewpointFromHash() {
+    const match = /(?:^|[#&])view=([^&]+)/.exec(window.location.hash || '');
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // Optional on-canvas menu with one button per viewpoint
+  function createViewpointMenu(scene, viewpoints) {
+    const runtime = getRuntime(scene);
+    const parent = runtime.canvas.parentElement;
+    if (!parent) return null;
+
+    const menu = document.createElement('div');
+    menu.className = 'viewpointMenu';
+    for (const viewpoint of viewpoints) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = viewpoint.name || viewpoint.id;
+      button.dataset.viewpoint = viewpoint.id;
+      button.addEventListener('click', () => goToViewpoint(scene, viewpoint.id));
+      menu.appendChild(button);
+    }
+    parent.appendChild(menu);
+    runtime.cleanups.push(() => menu.remove());
+    return menu;
+  }
+
+  function setupViewpoints(scene, graph, opts) {
+    const runtime = getRuntime(scene);
+    const viewpoints = getViewpoints(scene);
+
+    // User input takes over from a running transition
+    scene.onPointerObservable.add(() => {
+      if (runtime.cameraTransition) runtime.cameraTransition.cancel();
+    }, BABYLON.PointerEventTypes.POINTERDOWN);
+
+    if (viewpoints.length === 0) return;
+    console.log('📍 Viewpoints available:', viewpoints.map(v => v.id));
+
+    const settings = graph.sceneSettings || {};
+    const showMenu = opts.viewpointMenu !== undefined ? !!opts.viewpointMenu : !!settings.viewpointMenu;
+    if (showMenu) {
+      runtime.viewpointMenu = createViewpointMenu(scene, viewpoints);
+    }
+
+    if (opts.urlHash) {
+      const initial = getViewpointFromHash();
+      if (initial) {
+        goToViewpoint(scene, initial, { duration: 0 });
+      }
+      const onHashChange = () => {
+        const id = getViewpointFromHash();
+        if (id && id !== runtime.activeViewpoint) goToViewpoint(scene, id);
+      };
+      window.addEventListener('hashchange', onHashChange);
+      runtime.cleanups.push(() => window.removeEventListener('hashchange', onHashChange));
+    }
+  }
+
+  // Annotations: HTML callouts anchored to a node or '::mesh::' child, e.g.
+  // { id: 'hinge', target: 'root::phone::mesh::12', offset: [0, 0.05, 0], label: 'Hinge', text, viewpoint, radius }
+  // `offset` is in the anchor's local space. Clicking one focuses the camera on it (or flies to `viewpoint`).
+  function getAnnotationDefs(scene) {
+    const runtime = getRuntime(scene);
+    const list = runtime && runtime.sceneGraph && runtime.sceneGraph.annotations;
+    return Array.isArray(list) ? list.filter(a => a && a.id && a.target) : [];
+  }
+
+  // Frames between occlusion ray casts; the CSS opacity transition hides the steps
+  const ANNOTATION_OCCLUSION_INTERVAL = 6;
+
+  function setupAnnotations(scene) {
+    const runtime = getRuntime(scene);
+    removeAnnotations(runtime);
+    const defs = getAnnotationDefs(scene);
+    const parent = runtime.canvas.parentElement;
+    if (defs.length === 0 || !parent) return;
+
+    const layer = document.createElement('div');
+    layer.className = 'annotations';
+    const entries = defs.map((def) => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = 'annotation';
+      element.dataset.annotation = def.id;
+      const label = document.createElement('span');
+      label.className = 'annotationLabel';
+      label.textContent = def.label || def.id;
+      element.appendChild(label);
+      if (def.text) {
+        const text = document.createElement('span');
+        text.className = 'annotationText';
+        text.textContent = def.text;
+        element.appendChild(text);
+      }
+      element.addEventListener('click', (event) => {
+        event.stopPropagation();
+        focusAnnotation(scene, def.id);
+      });
+      layer.appendChild(element);
+      return { def, element, anchor: null, position: null, screen: null, shown: true, visible: false, occluded: false };
+    });
+    parent.appendChild(layer);
+
+    for (const entry of entries) {
+      if (!resolveAnnotationAnchor(scene, entry)) {
+        console.warn('⚠️ RUNTIME: Annotation target not found:', entry.def.id, '->', entry.def.target);
+      }
+    }
+
+    const state = { layer, entries, frame: 0, observer: null, cleanup: () => removeAnnotations(runtime) };
+    state.observer = scene.onAfterRenderObservable.add(() => updateAnnotations(scene, state));
+    runtime.annotations = state;
+    runtime.cleanups.push(state.cleanup);
+    console.log('📌 RUNTIME: Annotations:', defs.map(a => a.id));
+  }
+
+  function removeAnnotations(runtime) {
+    const state = runtime.annotations;
+    if (!state) return;
+    runtime.annotations = null;
+    const cleanup = runtime.cleanups.indexOf(state.cleanup);
+    if (cleanup >= 0) runtime.cleanups.splice(cleanup, 1);
+    if (runtime.scene) runtime.scene.onAfterRenderObservable.remove(state.observer);
+    state.layer.remove();
+  }
+
+  // Anchors are looked up again when live reload or visibility changes recreate them
+  function resolveAnnotationAnchor(scene, entry) {
+    if (!entry.anchor || entry.anchor.isDisposed()) {
+      entry.anchor = findSceneNode(scene, entry.def.target);
+    }
+    return entry.anchor;
+  }
+
+  function getAnnotationPosition(scene, entry) {
+    const anchor = resolveAnnotationAnchor(scene, entry);
+    if (!anchor) return null;
+    const offset = Array.isArray(entry.def.offset) ? BABYLON.Vector3.FromArray(entry.def.offset) : BABYLON.Vector3.Zero();
+    return BABYLON.Vector3.TransformCoordinates(offset, anchor.getWorldMatrix());
+  }
+
+  // Hidden nodes (setVisibility, behaviors) take their callouts with them
+  function isAnnotationAnchorShown(anchor) {
+    if (!anchor.isEnabled()) return false;
+    const meshes = anchor instanceof BABYLON.AbstractMesh ? [anchor] : anchor.getChildMeshes(false);
+    return meshes.length === 0 || meshes.some(m => m.isEnabled() && m.isVisible && m.visibility > 0);
+  }
+
+  // Anything pickable between the camera and the anchor point (the anchor's own far side included)
+  function isAnnotationOccluded(scene, camera, position) {
+    const origin = camera.globalPosition;
+    const direction = position.subtract(origin);
+    const distance = direction.length();
+    if (distance < BABYLON.Epsilon) return false;
+    const ray = new BABYLON.Ray(origin, direction.scaleInPlace(1 / distance), distance);
+    const hit = scene.pickWithRay(ray, m => m.isPickable && m.isEnabled() && m.isVisible && m.visibility > 0 && !m.infiniteDistance);
+    return !!(hit && hit.hit && hit.distance < distance * 0.98);
+  }
+
+  function updateAnnotations(scene, state) {
+    const runtime = getRuntime(scene);
+    const camera = scene.activeCamera;
+    const checkAnchors = state.frame++ % ANNOTATION_OCCLUSION_INTERVAL === 0;
+    if (!camera || runtime.annotationsHidden) {
+      for (const entry of state.entries) {
+        entry.visible = false;
+        entry.element.style.display = 'none';
+      }
+      return;
+    }
+
+    const engine = scene.getEngine();
+    const width = engine.getRenderWidth();
+    const height = engine.getRenderHeight();
+    const viewport = camera.viewport.toGlobal(width, height);
+    const transform = scene.getTransformMatrix();
+    const forward = camera.getForwardRay(1).direction;
+    const rect = runtime.canvas.getBoundingClientRect();
+
+    for (const entry of state.entries) {
+      const position = getAnnotationPosition(scene, entry);
+      entry.position = position;
+      let screen = null;
+      // Points behind the camera would project mirrored onto the screen
+      if (position && BABYLON.Vector3.Dot(position.subtract(camera.globalPosition), forward) > 0) {
+        const projected = BABYLON.Vector3.Project(position, BABYLON.Matrix.IdentityReadOnly, transform, viewport);
+        if (projected.x >= 0 && projected.x <= width && projected.y >= 0 && projected.y <= height) {
+          screen = [rect.left + projected.x * rect.width / width, rect.top + projected.y * rect.height / height];
+        }
+      }
+      entry.screen = screen;
+      if (screen && checkAnchors) {
+        entry.shown = isAnnotationAnchorShown(entry.anchor);
+        entry.occluded = entry.shown && isAnnotationOccluded(scene, camera, position);
+      }
+
+      entry.visible = !!screen && entry.shown;
+      entry.element.style.display = entry.visible ? '' : 'none';
+      if (entry.visible) {
+        entry.element.style.left = screen[0] + 'px';
+        entry.element.style.top = screen[1] + 'px';
+        entry.element.classList.toggle('occluded', entry.occluded);
+      }
+    }
+  }
+
+  // Public view of the annotations with their current screen state
+  function getAnnotations(scene) {
+    const runtime = getRuntime(scene);
+    const state = runtime && runtime.annotations;
+    if (!state) return [];
+    return state.entries.map(entry => ({
+      id: entry.def.id,
+      target: entry.def.target,
+      label: entry.def.label || entry.def.id,
+      text: entry.def.text || null,
+      visible: entry.visible,
+      occluded: entry.occluded,
+      screen: entry.screen ? entry.screen.slice() : null,
+      position: entry.position ? entry.position.asArray() : null
+    }));
+  }
+
+  // Center the camera on an annotation (keeping its orbit angles), or fly to its viewpoint
+  async function focusAnnotation(scene, id, options) {
+    const runtime = getRuntime(scene);
+    const state = runtime && runtime.annotations;
+    const entry = state && state.entries.find(e => e.def.id === id);
+    if (!entry) {
+      console.warn('⚠️ RUNTIME: Annotation not found:', id);
+      return false;
+    }
+    const def = entry.def;
+    for (const other of state.entries) {
+      other.element.classList.toggle('active', other === entry);
+    }
+    runtime.emit('annotation', { id, annotation: def });
+    if (def.viewpoint) {
+      return goToViewpoint(scene, def.viewpoint, options);
+    }
+
+    const camera = scene.activeCamera;
+    const position = getAnnotationPosition(scene, entry);
+    if (!camera || !position) return false;
+    if (camera instanceof BABYLON.ArcRotateCamera) {
+      return animateCameraTo(scene, { target: position.asArray(), radius: numberOr(def.radius, camera.radius) }, options);
+    }
+    // Universal cameras stay put and turn to face the annotation
+    const rotation = camera.rotation.clone();
+    camera.setTarget(position);
+    const facing = camera.rotation.clone();
+    camera.rotation.copyFrom(rotation);
+    return animateCameraTo(scene, { rotation: facing.asArray() }, options);
+  }
+
+  const XR_SESSION_MODES = { vr: 'immersive-vr', ar: 'immersive-ar' };
+
+  // sceneSettings.xr: { enabled, modes: ['vr', 'ar'], floor: ['ground'], teleport, placement, unitsPerMeter }
+  // unitsPerMeter is how many scene units make a real metre: with models authored at scaling [40,40,40]
+  // a value of 40 lets VR walk around them at life size and AR place them at their glTF size.
+  function readXRSettings(graph) {
+    const xr = graph.sceneSettings && graph.sceneSettings.xr;
+    if (!xr || typeof xr !== 'object' || xr.enabled === false) return null;
+    const ground = graph.nodes.find(n => n.id === 'ground' && n.kind === 'mesh');
+    const model = graph.nodes.find(n => n.kind === 'model');
+    return {
+      modes: (Array.isArray(xr.modes) ? xr.modes : ['vr', 'ar']).filter(m => XR_SESSION_MODES[m]),
+      floor: Array.isArray(xr.floor) ? xr.floor : ground ? [ground.id] : [],
+      teleport: xr.teleport !== false,
+      placement: typeof xr.placement === 'string' ? xr.placement : model ? model.id : null,
+      unitsPerMeter: isFiniteNumber(xr.unitsPerMeter) && xr.unitsPerMeter > 0 ? xr.unitsPerMeter : 1
+    };
+  }
+
+  // Opt-in immersive mode; browsers without WebXR (or without a headset/AR support) keep the orbit viewer
+  async function setupXR(runtime, graph, opts) {
+    const settings = readXRSettings(graph);
+    if (!settings || opts.xr === false) return;
+    const scene = runtime.scene;
+    if (!navigator.xr || !BABYLON.WebXRDefaultExperience || global.isSecureContext === false) {
+      console.log('🥽 RUNTIME: WebXR is not available in this browser');
+      return;
+    }
+
+    const supported = [];
+    for (const mode of settings.modes) {
+      try {
+        if (await BABYLON.WebXRSessionManager.IsSessionSupportedAsync(XR_SESSION_MODES[mode])) supported.push(mode);
+      } catch (e) {
+        // Treated as unsupported
+      }
+    }
+    if (runtime.disposed) return;
+    if (supported.length === 0) {
+      console.log('🥽 RUNTIME: No immersive session modes supported:', settings.modes);
+      return;
+    }
+
+    const floorMeshes = settings.floor.map(id => findSceneNode(scene, id)).filter(n => n instanceof BABYLON.AbstractMesh);
+    if (settings.teleport && supported.includes('vr') && floorMeshes.length === 0) {
+      console.warn('⚠️ RUNTIME: XR teleportation needs a floor mesh, none found for', settings.floor);
+    }
+    const experience = await BABYLON.WebXRDefaultExperience.CreateAsync(scene, {
+      disableDefaultUI: true,
+      disableTeleportation: !settings.teleport || floorMeshes.length === 0,
+      floorMeshes
+    });
+    if (runtime.disposed) {
+      experience.dispose();
+      return;
+    }
+
+    const xr = { experience, settings, supported, mode: null, hitTest: null, buttons: null, placement: null };
+    // Optional so a VR session (or an AR device without hit testing) still starts
+    if (supported.includes('ar')) {
+      try {
+        xr.hitTest = experience.baseExperience.featuresManager.enableFeature(BABYLON.WebXRFeatureName.HIT_TEST, 'latest', {}, true, false);
+      } catch (e) {
+        console.warn('⚠️ RUNTIME: WebXR hit testing unavailable:', e);
+      }
+    }
+    runtime.xr = xr;
+
+    experience.baseExperience.onStateChangedObservable.add((state) => {
+      if (state === BABYLON.WebXRState.IN_XR) {
+        if (xr.mode === 'ar') startXRPlacement(runtime);
+        runtime.emit('xr', { mode: xr.mode, active: true });
+      } else if (state === BABYLON.WebXRState.NOT_IN_XR) {
+        stopXRPlacement(runtime);
+        const mode = xr.mode;
+        xr.mode = null;
+        runtime.emit('xr', { mode, active: false });
+      }
+      updateXRButtons(xr);
+    });
+
+    xr.buttons = createXRButtons(runtime, supported);
+    runtime.cleanups.push(() => {
+      stopXRPlacement(runtime);
+      runtime.xr = null;
+      experience.dispose();
+    });
+    console.log('🥽 RUNTIME: Immersive modes available:', supported);
+  }
+
+  function createXRButtons(runtime, modes) {
+    const parent = runtime.canvas.parentElement;
+    if (!parent) return null;
+    const container = document.createElement('div');
+    container.className = 'xrButtons';
+    for (const mode of modes) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.xrMode = mode;
+      button.addEventListener('click', () => {
+        const action = runtime.xr && runtime.xr.mode ? exitXR(runtime) : enterXR(runtime, mode);
+        action.catch(e => console.warn('⚠️ RUNTIME: Could not switch immersive mode:', e));
+      });
+      container.appendChild(button);
+    }
+    parent.appendChild(container);
+    runtime.cleanups.push(() => container.remove());
+    updateXRButtons(runtime.xr, container);
+    return container;
+  }
+
+  function updateXRButtons(xr, container) {
+    const el = container || (xr && xr.buttons);
+    if (!el) return;
+    for (const button of Array.from(el.children)) {
+      const mode = button.dataset.xrMode;
+      button.textContent = xr.mode === mode ? 'Exit ' + mode.toUpperCase() : 'Enter ' + mode.toUpperCase();
+      button.disabled = !!xr.mode && xr.mode !== mode;
+    }
+  }
+
+  // Must be called from a user gesture (click/tap); resolves once the session has started
+  async function enterXR(runtime, mode) {
+    const xr = runtime.xr;
+    if (!xr || !xr.supported.includes(mode)) throw new Error('Immersive mode not available: ' + mode);
+    if (xr.mode) throw new Error('Already in ' + xr.mode.toUpperCase());
+    const base = xr.experience.baseExperience;
+    xr.mode = mode;
+    // VR scales the viewer to the scene; AR keeps real metres and scales the placed model instead
+    base.sessionManager.worldScalingFactor = mode === 'vr' ? xr.settings.unitsPerMeter : 1;
+    try {
+      await base.enterXRAsync(XR_SESSION_MODES[mode], 'local-floor', xr.experience.renderTarget);
+    } catch (e) {
+      xr.mode = null;
+      updateXRButtons(xr);
+      throw e;
+    }
+  }
+
+  async function exitXR(runtime) {
+    const xr = runtime.xr;
+    if (!xr || !xr.mode) return;
+    await xr.experience.baseExperience.exitXRAsync();
+  }
+
+  // AR shows only the placement node, at real size, where the user taps on a detected surface
+  function startXRPlacement(runtime) {
+    const xr = runtime.xr;
+    const scene = runtime.scene;
+    const target = xr.settings.placement ? findSceneNode(scene, xr.settings.placement) : null;
+    if (!target) {
+      console.warn('⚠️ RUNTIME: AR placement node not found:', xr.settings.placement);
+      return;
+    }
+
+    const placement = {
+      target,
+      hidden: [],
+      observers: [],
+      reticle: null,
+      hit: null,
+      saved: {
+        position: target.position.clone(),
+        rotation: target.rotation.clone(),
+        rotationQuaternion: target.rotationQuaternion ? target.rotationQuaternion.clone() : null,
+        scaling: target.scaling.clone(),
+        enabled: target.isEnabled(false)
+      }
+    };
+    xr.placement = placement;
+
+    // The camera feed replaces the skybox, ground and the rest of the scene
+    for (const mesh of scene.meshes) {
+      if (mesh !== target && !mesh.isDescendantOf(target) && mesh.isEnabled(false)) {
+        placement.hidden.push(mesh);
+        mesh.setEnabled(false);
+      }
+    }
+    target.scaling.scaleInPlace(1 / xr.settings.unitsPerMeter);
+    target.setEnabled(false);
+
+    const place = (position) => {
+      target.setAbsolutePosition(position);
+      target.setEnabled(true);
+      runtime.emit('xrPlace', { nodeId: xr.settings.placement, position: position.asArray() });
+    };
+
+    if (!xr.hitTest || !xr.hitTest.attached) {
+      // No surface detection: put the model a metre in front of the viewer
+      const camera = scene.activeCamera;
+      place(camera.globalPosition.add(camera.getForwardRay(1).direction));
+      return;
+    }
+
+    const reticle = BABYLON.MeshBuilder.CreateTorus('__xrReticle__', { diameter: 0.15, thickness: 0.01, tessellation: 32 }, scene);
+    const material = new BABYLON.StandardMaterial('__xrReticleMaterial__', scene);
+    material.disableLighting = true;
+    material.emissiveColor = BABYLON.Color3.White();
+    reticle.material = material;
+    reticle.isPickable = false;
+    reticle.isVisible = false;
+    reticle.rotationQuaternion = new BABYLON.Quaternion();
+    placement.reticle = reticle;
+
+    placement.observers.push([xr.hitTest.onHitTestResultObservable, xr.hitTest.onHitTestResultObservable.add((results) => {
+      placement.hit = results.length > 0 ? results[0] : null;
+      reticle.isVisible = !!placement.hit;
+      if (placement.hit) {
+        reticle.position.copyFrom(placement.hit.position);
+        reticle.rotationQuaternion.copyFrom(placement.hit.rotationQuaternion);
+      }
+    })]);
+    placement.observers.push([scene.onPointerObservable, scene.onPointerObservable.add(() => {
+      if (placement.hit) place(placement.hit.position.clone());
+    }, BABYLON.PointerEventTypes.POINTERDOWN)]);
+  }
+
+  function stopXRPlacement(runtime) {
+    const xr = runtime.xr;
+    const placement = xr && xr.placement;
+    if (!placement) return;
+    xr.placement = null;
+    for (const [observable, observer] of placement.observers) {
+      observable.remove(observer);
+    }
+    if (placement.reticle) {
+      placement.reticle.material.dispose();
+      placement.reticle.dispose();
+    }
+    for (const mesh of placement.hidden) {
+      if (!mesh.isDisposed()) mesh.setEnabled(true);
+    }
+    const { target, saved } = placement;
+    if (!target.isDisposed()) {
+      target.position.copyFrom(saved.position);
+      target.rotation.copyFrom(saved.rotation);
+      target.rotationQuaternion = saved.rotationQuaternion;
+      target.scaling.copyFrom(saved.scaling);
+      target.setEnabled(saved.enabled);
+    }
+  }
+
+  // Node blocks a live reload patches in place; a change to any other block recreates the node
+  // (models only when `src` changes, model child meshes never)
+  const LIVE_PATCHABLE_KEYS = ['transform', 'visible', 'enabled', 'parentId', 'name', 'light', 'materialId', 'animation', 'behaviors', 'castShadows', 'receiveShadows', 'metadata'];
+
+  function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // Compare two scene graphs by node id and by top-level section
+  function diffSceneGraphs(previous, next) {
+    const prevNodes = new Map(previous.nodes.map(n => [n.id, n]));
+    const nextIds = new Set(next.nodes.map(n => n.id));
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const node of next.nodes) {
+      const prev = prevNodes.get(node.id);
+      if (!prev) {
+        diff.added.push(node);
+        continue;
+      }
+      const keys = Array.from(new Set(Object.keys(prev).concat(Object.keys(node)))).filter(k => !sameJson(prev[k], node[k]));
+      if (keys.length > 0) diff.changed.push({ node, prev, keys });
+    }
+    for (const prev of previous.nodes) {
+      if (!nextIds.has(prev.id)) diff.removed.push(prev);
+    }
+
+    diff.sceneSettings = !sameJson(previous.sceneSettings, next.sceneSettings);
+    diff.viewpoints = !sameJson(previous.viewpoints, next.viewpoints);
+    diff.annotations = !sameJson(previous.annotations, next.annotations);
+    const prevMaterials = new Map((previous.materials || []).map(m => [m.id, m]));
+    diff.materials = (next.materials || []).filter(m => m && !sameJson(prevMaterials.get(m.id), m));
+    const prevOverrides = previous.materialOverrides || {};
+    const nextOverrides = next.materialOverrides || {};
+    diff.materialOverrides = Object.keys(nextOverrides).filter(name => !sameJson(prevOverrides[name], nextOverrides[name]));
+    diff.droppedOverrides = Object.keys(prevOverrides).filter(name => !(name in nextOverrides));
+    return diff;
+  }
+
+  // Remove the Babylon objects created for a graph node (graph children are kept and re-attached)
+  function disposeGraphNodeObjects(scene, node) {
+    const runtime = getRuntime(scene);
+    if (node.id.includes(MESH_TAG)) {
+      console.warn('⚠️ RUNTIME: Model child meshes follow their model; reload the model to restore:', node.id);
+      return;
+    }
+    const target = findSceneNode(scene, node.id);
+    if (node.kind === 'model') {
+      for (const group of runtime.animationGroups.get(node.id) || []) group.dispose();
+      runtime.animationGroups.delete(node.id);
+      runtime.animationFades.delete(node.id);
+      // The model's own meshes go with it; graph children are re-attached afterwards
+      if (target) {
+        for (const child of target.getChildren(null, true)) {
+          if (findGraphNode(scene, child.id)) child.parent = null;
+        }
+        target.dispose();
+      }
+      return;
+    }
+    if (!target) return;
+    if (target instanceof BABYLON.Light && target.getShadowGenerator && target.getShadowGenerator()) {
+      target.getShadowGenerator().dispose();
+    }
+    if (scene.activeCamera === target) {
+      target.detachControl();
+      scene.activeCamera = null;
+    }
+    // Inline materials belong to their mesh; declared ones (materialId) are shared
+    if (node.kind === 'mesh' && node.material && !node.materialId && target.material) {
+      target.material.dispose();
+    }
+    target.dispose(true);
+  }
+
+  function applyNodeTransform(target, transform) {
+    const t = transform || {};
+    const position = t.position ? BABYLON.Vector3.FromArray(t.position) : BABYLON.Vector3.Zero();
+    const rotation = t.rotation ? BABYLON.Vector3.FromArray(t.rotation) : BABYLON.Vector3.Zero();
+    target.position = position;
+    if (target.rotationQuaternion) {
+      target.rotationQuaternion = BABYLON.Quaternion.FromEulerAngles(rotation.x, rotation.y, rotation.z);
+    } else if (target.rotation) {
+      target.rotation = rotation;
+    }
+    if (target.scaling) {
+      target.scaling = t.scaling ? BABYLON.Vector3.FromArray(t.scaling) : BABYLON.Vector3.One();
+    }
+  }
+
+  // Light parameters that can change without recreating the light (type, shadows and direction cannot)
+  function patchLight(light, prevProps, props) {
+    const before = prevProps || {};
+    const after = props || {};
+    if (before.type !== after.type || !sameJson(before.shadows, after.shadows)) return false;
+    light.intensity = typeof after.intensity === 'number' ? after.intensity : 0.7;
+    if (isColorArray(after.color, 3)) light.diffuse = BABYLON.Color3.FromArray(after.color);
+    if (after.range !== undefined && 'range' in light) light.range = after.range;
+    if (light instanceof BABYLON.SpotLight) {
+      light.angle = after.angle || Math.PI / 6;
+      light.exponent = after.exponent || 1;
+    }
+    if (light instanceof BABYLON.HemisphericLight && isColorArray(after.groundColor, 3)) {
+      light.groundColor = BABYLON.Color3.FromArray(after.groundColor);
+    }
+    return true;
+  }
+
+  // Patch a changed node in place; returns false when it has to be recreated
+  function patchGraphNode(scene, change) {
+    const { node, prev, keys } = change;
+    const isChildMesh = node.id.includes(MESH_TAG);
+    const recreateKeys = keys.filter(k => !LIVE_PATCHABLE_KEYS.includes(k) && !(node.kind === 'model' && k !== 'src' && k !== 'kind'));
+    if (recreateKeys.length > 0 && !isChildMesh) return false;
+    if (recreateKeys.length > 0) {
+      console.warn('⚠️ RUNTIME: Child mesh changes need a model reload, ignored:', node.id, recreateKeys);
+    }
+
+    const target = findSceneNode(scene, node.id);
+    if (!target) return isChildMesh;
+
+    if (keys.includes('light') && !patchLight(target, prev.light, node.light)) return false;
+    // Light positions/directions come from the transform at creation time
+    if (keys.includes('transform') && target instanceof BABYLON.Light) return false;
+    if (keys.includes('transform') && target instanceof BABYLON.ArcRotateCamera) {
+      console.log('🔍 RUNTIME: ArcRotate cameras are placed by their camera block; transform change ignored:', node.id);
+    } else if (keys.includes('transform')) {
+      applyNodeTransform(target, node.transform);
+    }
+
+    if (keys.includes('name') && node.name) target.name = node.name;
+    if (keys.includes('parentId')) {
+      if (node.parentId) {
+        attachToParent(node, scene);
+      } else if (!isChildMesh) {
+        target.parent = null;
+      }
+    }
+    if (keys.includes('materialId') && target instanceof BABYLON.AbstractMesh) {
+      const material = resolveNodeMaterial(node, scene);
+      if (material) target.material = material;
+    }
+    if (keys.includes('animation') && node.kind === 'model') {
+      configureModelAnimations(node, getModelAnimationGroups(scene, node.id), scene);
+    }
+    return true;
+  }
+
+  // Re-apply visibility/enabled state of every node (ancestors may have changed)
+  function refreshGraphVisibility(graph, scene) {
+    for (const node of sortNodesByHierarchy(graph.nodes)) {
+      const target = findSceneNode(scene, node.id);
+      if (!target) continue;
+      if (node.kind === 'camera' || node.kind === 'light') {
+        target.setEnabled(isGraphNodeEnabled(node, scene));
+      } else {
+        // Models and groups cascade to their meshes; graph children come later and win
+        if (node.kind === 'group') target.setEnabled(node.enabled !== false);
+        setNodeVisibility(scene, node.id, isGraphNodeShown(node, scene));
+      }
+    }
+  }
+
+  // Apply a new scene graph to the running scene, touching only what changed
+  async function applySceneGraphUpdate(runtime, graph) {
+    const scene = runtime.scene;
+    const migrated = migrateSceneGraph(graph);
+    if (!migrated || !Array.isArray(migrated.nodes)) {
+      throw new Error('Invalid scene graph format');
+    }
+    // Strict mode rejects the update and keeps the current scene
+    checkDiagnostics(runtime, validateSceneGraph(migrated));
+    const next = dropInvalidNodes(migrated);
+
+    const previous = runtime.sceneGraph;
+    const diff = diffSceneGraphs(previous, next);
+    const summary = {
+      added: diff.added.map(n => n.id),
+      removed: diff.removed.map(n => n.id),
+      changed: diff.changed.map(c => c.node.id),
+      recreated: [],
+      sceneSettings: diff.sceneSettings,
+      materials: diff.materials.map(m => m.id),
+      materialOverrides: diff.materialOverrides,
+      annotations: diff.annotations
+    };
+    const nothingChanged = !summary.added.length && !summary.removed.length && !summary.changed.length &&
+      !diff.sceneSettings && !diff.viewpoints && !diff.annotations && !diff.materials.length && !diff.materialOverrides.length && !diff.droppedOverrides.length;
+    if (nothingChanged) return summary;
+    console.log('🔄 RUNTIME: Live update', summary);
+
+    // Lookups (visibility inheritance, child mesh tokens) read the new graph from here on
+    runtime.sceneGraph = next;
+
+    // Declared materials: new ones are created, edited ones patched (a type change swaps the material)
+    for (const def of diff.materials) {
+      const existing = runtime.materials.get(def.id);
+      const prevDef = (previous.materials || []).find(m => m.id === def.id);
+      if (existing && prevDef && (prevDef.type || 'pbr') === (def.type || 'pbr')) {
+        applyMaterialProperties(existing, def, scene, existing.name);
+        continue;
+      }
+      const material = createMaterialFromDef(def, def.id, scene);
+      runtime.materials.set(def.id, material);
+      if (existing) {
+        scene.meshes.filter(m => m.material === existing).forEach(m => { m.material = material; });
+        existing.dispose();
+      }
+    }
+
+    for (const node of diff.removed) {
+      disposeGraphNodeObjects(scene, node);
+    }
+
+    const toCreate = diff.added.slice();
+    for (const change of diff.changed) {
+      if (!patchGraphNode(scene, change)) {
+        disposeGraphNodeObjects(scene, change.prev);
+        toCreate.push(change.node);
+        summary.recreated.push(change.node.id);
+      }
+    }
+
+    if (toCreate.length > 0) {
+      // Same order as the initial load: parents first, model child meshes once their model exists
+      preloadModelContainers({ nodes: toCreate }, scene);
+      const created = new Set(toCreate.map(n => n.id));
+      const childMeshes = [];
+      for (const node of sortNodesByHierarchy(toCreate)) {
+        if (node.kind === 'mesh' && node.id.includes(MESH_TAG) && node.parentId) {
+          childMeshes.push(node);
+        } else {
+          await instantiateNode(node, scene);
+          attachToParent(node, scene);
+        }
+      }
+      for (const node of next.nodes) {
+        if (node.id.includes(MESH_TAG) && created.has(node.parentId) && !created.has(node.id)) childMeshes.push(node);
+      }
+      for (const node of childMeshes) {
+        await instantiateNode(node, scene);
+      }
+      // Graph children of recreated nodes were detached with them
+      for (const node of next.nodes) {
+        if (!created.has(node.id) && created.has(node.parentId) && !node.id.includes(MESH_TAG)) attachToParent(node, scene);
+      }
+    }
+
+    if (!scene.activeCamera && scene.cameras.length > 0) {
+      scene.activeCamera = scene.cameras[0];
+      scene.activeCamera.attachControl(runtime.canvas, true);
+    }
+
+    refreshGraphVisibility(next, scene);
+    linkCameraTargets(next, scene);
+    applyShadowFlags(next, scene);
+
+    const cameraRecreated = toCreate.some(n => n.kind === 'camera');
+    if (diff.sceneSettings && next.sceneSettings) {
+      await applySceneSettings(scene, next.sceneSettings);
+    } else if (cameraRecreated) {
+      // The post-processing pipeline was attached to the old camera
+      applyPostProcessingSettings(scene, (next.sceneSettings || {}).postProcessing);
+    }
+
+    // New model instances share container materials, so every override is re-applied for them
+    const overrideNames = toCreate.some(n => n.kind === 'model') ? Object.keys(next.materialOverrides || {}) : diff.materialOverrides;
+    if (overrideNames.length > 0) {
+      const overrides = {};
+      for (const name of overrideNames) overrides[name] = next.materialOverrides[name];
+      applyMaterialOverrides(scene, overrides);
+      checkDiagnostics(runtime, validateMaterialOverrideTargets(scene, next));
+    }
+    if (diff.droppedOverrides.length > 0) {
+      console.warn('⚠️ RUNTIME: Removed material overrides keep their last values until the page reloads:', diff.droppedOverrides);
+    }
+
+    const behaviorsChanged = diff.changed.some(c => c.keys.includes('behaviors')) ||
+      diff.added.concat(diff.removed).some(n => Array.isArray(n.behaviors) && n.behaviors.length > 0);
+    if (behaviorsChanged) setupBehaviors(scene, next);
+
+    if (diff.viewpoints && runtime.viewpointMenu) {
+      runtime.viewpointMenu.remove();
+      runtime.viewpointMenu = createViewpointMenu(scene, getViewpoints(scene));
+    }
+    if (diff.annotations) {
+      setupAnnotations(scene);
+    }
+
+    runtime.emit('update', summary);
+    return summary;
+  }
+
+  // Feed new scene graphs to the handle: { poll: ms, postMessage: true | origin | [origins], webSocket: url }
+  function startLiveReload(runtime, handle, config, sceneUrl) {
+    const options = config === true ? { poll: 2000 } : config;
+    const update = (graph, source) => {
+      handle.updateSceneGraph(graph).catch(error => {
+        console.warn('⚠️ RUNTIME: Live update from ' + source + ' rejected:', error.message);
+      });
+    };
+
+    if (isFiniteNumber(options.poll) && options.poll > 0 && sceneUrl) {
+      let lastText = null;
+      let busy = false;
+      const timer = setInterval(async () => {
+        if (busy) return;
+        busy = true;
+        try {
+          const response = await fetch(sceneUrl, { cache: 'no-store', headers: { 'Cache-Control': 'no-cache' } });
+          if (!response.ok) return;
+          const text = await response.text();
+          if (text !== lastText) {
+            lastText = text;
+            // The first poll applies too: edits saved while the scene loaded would be lost otherwise
+            // (an unchanged graph is a no-op in updateSceneGraph)
+            update(JSON.parse(text), 'poll');
           }
-          break;
+        } catch (e) {
+          console.warn('⚠️ RUNTIME: Live reload poll failed:', e.message);
+        } finally {
+          busy = false;
+        }
+      }, Math.max(250, options.poll));
+      runtime.cleanups.push(() => clearInterval(timer));
+      console.log('🔄 RUNTIME: Polling', sceneUrl, 'every', options.poll, 'ms');
+    }
 
-        case 'model':
-          if (node.src) {
-            await loadModelFromAssets(node, scene);
+    if (options.postMessage) {
+      const origins = options.postMessage === true ? [window.location.origin] : [].concat(options.postMessage);
+      const onMessage = (event) => {
+        const data = event.data;
+        if (!data || data.type !== 'dreambuilder:sceneGraph' || !data.graph) return;
+        if (!origins.includes(event.origin) && !origins.includes('*')) {
+          console.warn('⚠️ RUNTIME: Scene graph message from unexpected origin ignored:', event.origin);
+          return;
+        }
+        update(data.graph, 'postMessage');
+      };
+      window.addEventListener('message', onMessage);
+      runtime.cleanups.push(() => window.removeEventListener('message', onMessage));
+    }
+
+    if (options.webSocket) {
+      let socket = null;
+      let retry = null;
+      const connect = () => {
+        socket = new WebSocket(options.webSocket);
+        socket.onmessage = (event) => {
+          try {
+            const data = JSON.parse(event.data);
+            update(data && data.graph ? data.graph : data, 'webSocket');
+          } catch (e) {
+            console.warn('⚠️ RUNTIME: Invalid live reload message:', e.message);
           }
-          break;
-      }
-    } catch (error) {
-      console.error('Failed to instantiate node ' + node.id + ':', error);
+        };
+        // Editors restart often; keep reconnecting until the runtime is disposed
+        socket.onclose = () => {
+          if (!runtime.disposed) retry = setTimeout(connect, 2000);
+        };
+      };
+      connect();
+      runtime.cleanups.push(() => {
+        clearTimeout(retry);
+        socket.onclose = null;
+        socket.close();
+      });
+      console.log('🔄 RUNTIME: Listening for scene graphs on', options.webSocket);
     }
   }
 
-  async function loadModelFromAssets(node, scene) {
-    if (!scene || !node.src) return;
+  // postMessage protocol spoken with a parent frame (CMS, configurators)
+  const BRIDGE_PROTOCOL = 'dreambuilder-runtime';
+  const BRIDGE_VERSION = 1;
+
+  // Commands a parent frame may send: { protocol, version, id, type, payload } -> result (structured-cloneable)
+  const BRIDGE_COMMANDS = {
+    hello: () => ({ version: BRIDGE_VERSION, commands: Object.keys(BRIDGE_COMMANDS) }),
+    setVisibility: (handle, p) => handle.setVisibility(p.id, p.visible !== false),
+    applyMaterialOverrides: (handle, p) => {
+      handle.applyMaterialOverrides(p.overrides || {});
+      return true;
+    },
+    getViewpoints: (handle) => handle.getViewpoints().map(v => ({ id: v.id, name: v.name || v.id })),
+    goToViewpoint: (handle, p) => handle.goToViewpoint(p.id, p.options),
+    getAnimations: (handle, p) => handle.getAnimations(p.nodeId),
+    playAnimation: (handle, p) => !!handle.playAnimation(p.nodeId, p.clip, p.options),
+    pauseAnimation: (handle, p) => handle.pauseAnimation(p.nodeId, p.clip),
+    stopAnimation: (handle, p) => handle.stopAnimation(p.nodeId, p.clip),
+    screenshot: (handle, p) => handle.screenshot(p),
+    turntable: (handle, p) => handle.turntable(p),
+    getAnnotations: (handle) => handle.getAnnotations(),
+    focusAnnotation: (handle, p) => handle.focusAnnotation(p.id, p.options)
+  };
+
+  // Runtime events posted to the parent: { protocol, version, type: 'event', event, payload }
+  const BRIDGE_EVENTS = {
+    progress: snapshot => snapshot,
+    ready: () => ({}),
+    error: error => ({ message: error.message, diagnostics: error.diagnostics || [] }),
+    pick: pick => pick,
+    viewpoint: ({ id }) => ({ id }),
+    annotation: ({ id }) => ({ id })
+  };
 
+  function getOrigin(url) {
     try {
-      // Convert storage path to asset path
-      const assetPath = 'assets/' + toRelativeAssetPath(node.src);
-      console.log('🔗 Loading model from:', assetPath);
-      
-      // Load the asset container with proper rootUrl/filename for GLTF so sidecars resolve correctly
-      let result = null;
-      const lower = assetPath.toLowerCase();
-      if (lower.endsWith('.gltf')) {
-        const rootUrl = assetPath.substring(0, assetPath.lastIndexOf('/') + 1);
-        const filename = assetPath.substring(assetPath.lastIndexOf('/') + 1);
-        console.log('🔗 GLTF Root URL:', rootUrl);
-        console.log('🔗 GLTF Filename:', filename);
-        result = await BABYLON.SceneLoader.LoadAssetContainerAsync(rootUrl, filename, scene);
-      } else {
-        result = await BABYLON.SceneLoader.LoadAssetContainerAsync('', assetPath, scene);
+      return new URL(url).origin;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Talk to the embedding page; config is a list of allowed origins or { allowedOrigins } ('*' allows any)
+  function startBridge(runtime, handle, config) {
+    if (window.parent === window) return;
+    const allowed = (Array.isArray(config) ? config : config.allowedOrigins) || [];
+    if (allowed.length === 0) {
+      console.warn('⚠️ RUNTIME: postMessage bridge needs allowed origins; bridge disabled');
+      return;
+    }
+    const isAllowed = origin => allowed.includes('*') || allowed.includes(origin);
+
+    // Until the parent writes first, events go to the embedding origin if it is allowed
+    const embedder = (window.location.ancestorOrigins && window.location.ancestorOrigins[0]) || getOrigin(document.referrer);
+    let targetOrigin = embedder && isAllowed(embedder) ? embedder : null;
+    const post = (message) => {
+      if (!targetOrigin) return;
+      window.parent.postMessage(Object.assign({ protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION }, message), targetOrigin);
+    };
+
+    const onMessage = async (event) => {
+      const message = event.data;
+      if (event.source !== window.parent || !message || message.protocol !== BRIDGE_PROTOCOL) return;
+      if (!isAllowed(event.origin)) {
+        console.warn('⚠️ RUNTIME: Bridge message from unexpected origin ignored:', event.origin);
+        return;
       }
-      
-      if (result.meshes.length > 0) {
-        // Create a parent transform node
-        const parentNode = new BABYLON.TransformNode(node.id, scene);
-        parentNode.position = new BABYLON.Vector3(...node.transform.position);
-        
-        if (node.transform.rotation) {
-          parentNode.rotation = new BABYLON.Vector3(...node.transform.rotation);
-        }
-        if (node.transform.scaling) {
-          parentNode.scaling = new BABYLON.Vector3(...node.transform.scaling);
-        }
+      targetOrigin = event.origin;
 
-        // Parent all loaded meshes to the transform node
-        result.meshes.forEach(mesh => {
-          mesh.parent = parentNode;
-        });
+      const reply = (ok, value) => {
+        if (message.id === undefined) return;
+        post(ok ? { type: 'response', id: message.id, ok, result: value === undefined ? null : value }
+          : { type: 'response', id: message.id, ok, error: value });
+      };
+      if (message.version !== BRIDGE_VERSION) {
+        reply(false, 'Unsupported protocol version ' + JSON.stringify(message.version) + ' (runtime speaks ' + BRIDGE_VERSION + ')');
+        return;
+      }
+      const command = Object.prototype.hasOwnProperty.call(BRIDGE_COMMANDS, message.type) ? BRIDGE_COMMANDS[message.type] : null;
+      if (!command) {
+        reply(false, 'Unknown command ' + JSON.stringify(message.type));
+        return;
+      }
+      try {
+        // Everything but the handshake waits for the scene
+        if (message.type !== 'hello') await handle.ready;
+        reply(true, await command(handle, message.payload || {}));
+      } catch (error) {
+        reply(false, error.message);
+      }
+    };
+    window.addEventListener('message', onMessage);
+    runtime.cleanups.push(() => window.removeEventListener('message', onMessage));
 
-        // Apply visibility and enabled states with proper inheritance
-        const parentVisible = node.visible !== false;
-        const parentEnabled = node.enabled !== false;
-        
-        // PATCH: assign stableId to runtime meshes from SceneGraph children, then apply states
-        const MESH_TAG = '::mesh::';
-        function getChildTokenFromId(id) {
-          const i = id.lastIndexOf(MESH_TAG);
-          return i >= 0 ? id.slice(i + MESH_TAG.length) : null;
-        }
+    for (const [type, toPayload] of Object.entries(BRIDGE_EVENTS)) {
+      handle.on(type, payload => post({ type: 'event', event: type, payload: toPayload(payload) }));
+    }
+    console.log('🔌 RUNTIME: postMessage bridge enabled for', allowed);
+  }
 
-        // 1) Gather SceneGraph child nodes of this model
-        const childNodes = (EXPORTED_SCENE_GRAPH?.nodes || []).filter(n => n.parentId === node.id && n.kind === 'mesh');
+  const SCREENSHOT_FORMATS = { png: 'image/png', jpeg: 'image/jpeg', jpg: 'image/jpeg', webp: 'image/webp' };
+  const TURNTABLE_VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
 
-        // 2) Build a deterministic map of (name, occurrenceIndex) -> { node, token }
-        const sgIndex = new Map();
-        {
-          const nameCounts = new Map(); // lowercased name -> next index
-          for (const cn of childNodes) {
-            const nm = (cn.name || 'Mesh').toLowerCase();
-            const idx = nameCounts.get(nm) || 0;
-            nameCounts.set(nm, idx + 1);
+  function getScreenshotMimeType(opts) {
+    if (opts.mimeType) return opts.mimeType;
+    const mimeType = SCREENSHOT_FORMATS[String(opts.format || 'png').toLowerCase()];
+    if (!mimeType) throw new Error('Unsupported screenshot format: ' + opts.format);
+    return mimeType;
+  }
 
-            const token = getChildTokenFromId(cn.id) || '';
-            const key = `${nm}::${idx}`;
-            sgIndex.set(key, { node: cn, token });
-          }
-        }
+  // Render the active camera offscreen into a data URL, independent of the canvas size; options:
+  // { width, height, format: 'png'|'jpeg'|'webp' (or mimeType), quality, samples, transparent, background, download }
+  function takeScreenshot(scene, options) {
+    const opts = options || {};
+    const camera = scene && scene.activeCamera;
+    if (!camera) return Promise.reject(new Error('No active camera'));
+    let mimeType;
+    try {
+      mimeType = getScreenshotMimeType(opts);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    const engine = scene.getEngine();
+    const size = {
+      width: Math.round(numberOr(opts.width, engine.getRenderWidth())),
+      height: Math.round(numberOr(opts.height, engine.getRenderHeight()))
+    };
+    const maxSize = engine.getCaps().maxRenderTextureSize;
+    if (!(size.width > 0 && size.height > 0) || (maxSize && Math.max(size.width, size.height) > maxSize)) {
+      return Promise.reject(new Error('Screenshot size must be between 1 and ' + maxSize + ' pixels, got ' + size.width + 'x' + size.height));
+    }
+    const samples = Math.max(1, Math.round(numberOr(opts.samples, 4)));
+    const quality = isFiniteNumber(opts.quality) ? opts.quality : undefined;
 
-        // 3) Walk runtime meshes in the same deterministic fashion
-        {
-          const nameCounts = new Map();
-          const meshesToKeep = [];
-          
-          // Filter out __root__ wrapper mesh (Babylon's container mesh)
-          const actualMeshes = result.meshes
-            .filter(m => m instanceof BABYLON.Mesh)
-            .filter(m => m.name !== "__root__");
-          
-          for (const mesh of actualMeshes) {
-            if (!mesh.metadata) mesh.metadata = {};
-            const nm = (mesh.name || 'Mesh').toLowerCase();
-            const idx = nameCounts.get(nm) || 0;
-            nameCounts.set(nm, idx + 1);
+    // The scene clears to transparent; opaque stills (and JPEG, which has no alpha) get a solid background
+    const transparent = opts.transparent !== undefined ? !!opts.transparent : mimeType !== 'image/jpeg';
+    const customizeTexture = transparent ? undefined : (texture) => {
+      const bg = opts.background;
+      const color = typeof bg === 'string' ? BABYLON.Color3.FromHexString(bg.slice(0, 7))
+        : isColorArray(bg, 3) ? BABYLON.Color3.FromArray(bg)
+        : new BABYLON.Color3(scene.clearColor.r, scene.clearColor.g, scene.clearColor.b);
+      texture.clearColor = new BABYLON.Color4(color.r, color.g, color.b, 1);
+    };
 
-            const key = `${nm}::${idx}`;
-            const entry = sgIndex.get(key);
+    return BABYLON.Tools.CreateScreenshotUsingRenderTargetAsync(
+      engine, camera, size, mimeType, samples, false, undefined, true, false, false, quality, customizeTexture
+    ).then((data) => {
+      if (opts.download) {
+        downloadUrl(data, typeof opts.download === 'string' ? opts.download : 'screenshot.' + mimeType.split('/')[1]);
+      }
+      return data;
+    });
+  }
 
-            if (entry) {
-              const { node: childNode, token } = entry;
+  // Save a data or blob URL through a temporary link
+  function downloadUrl(url, fileName) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
 
-              // Assign runtime stableId from graph token
-              mesh.metadata.stableId = token;
+  // Orbit the active ArcRotate camera `turns` times around its target and capture it; options:
+  // { format: 'png'|'jpeg'|'webp'|'webm', frames, fps, duration, turns, width, height, download, onFrame, onProgress }
+  // Stills render offscreen frame by frame and resolve with data URLs (or stream them to onFrame);
+  // 'webm' records the canvas in real time with MediaRecorder and resolves with a Blob.
+  function recordTurntable(runtime, options) {
+    const opts = options || {};
+    const scene = runtime.scene;
+    const camera = scene && scene.activeCamera;
+    if (!(camera instanceof BABYLON.ArcRotateCamera)) {
+      return Promise.reject(new Error('Turntable needs an ArcRotate camera'));
+    }
+    if (runtime.turntable) return Promise.reject(new Error('A turntable recording is already running'));
 
-              // Apply visibility/enabled with parent inheritance
-              const childVisible = childNode.visible !== false;
-              const childEnabled = childNode.enabled !== false;
-              const effectiveVisible = childVisible && childEnabled && parentVisible && parentEnabled;
+    if (runtime.cameraTransition) {
+      runtime.cameraTransition.cancel();
+    }
+    const fps = Math.max(1, numberOr(opts.fps, 30));
+    const duration = Math.max(0.1, numberOr(opts.duration, 6));
+    const turns = numberOr(opts.turns, 1);
+    const startAlpha = camera.alpha;
+    const inertialAlpha = camera.inertialAlphaOffset;
+    const canvas = runtime.canvas;
 
-              mesh.visibility = effectiveVisible ? 1 : 0;
-              meshesToKeep.push(mesh);
-            } else {
-              // No saved child node — this mesh was deleted, so dispose it
-              console.log('🗑️ RUNTIME: Skipping deleted child mesh:', mesh.name);
-              mesh.dispose();
-            }
-          }
-          
-          // Replace the meshes array with only the ones we want to keep
-          result.meshes = meshesToKeep;
-        }
+    // User input would fight the orbit
+    camera.detachControl();
+    camera.inertialAlphaOffset = 0;
+    const state = { cancelled: false };
+    runtime.turntable = state;
+    const restore = () => {
+      runtime.turntable = null;
+      camera.alpha = startAlpha;
+      camera.inertialAlphaOffset = inertialAlpha;
+      if (!runtime.disposed && scene.activeCamera === camera) camera.attachControl(canvas, true);
+    };
+    const progress = (done, total) => {
+      if (typeof opts.onProgress === 'function') opts.onProgress(done / total);
+      runtime.emit('turntableProgress', done / total);
+    };
 
-        // Add to scene
-        result.addAllToScene();
+    const format = String(opts.format || 'png').toLowerCase();
+    const recording = format === 'webm' ? recordTurntableVideo() : recordTurntableFrames();
+    return recording.then((result) => {
+      restore();
+      return result;
+    }, (error) => {
+      restore();
+      throw error;
+    });
 
-        // Start animation groups after adding to scene
-        if (result.animationGroups && result.animationGroups.length > 0) {
-          console.log(`🎬 Starting ${result.animationGroups.length} animation groups for ${node.name}`);
-          result.animationGroups.forEach(animGroup => {
-            animGroup.start(true, 1.0, animGroup.from, animGroup.to, false);
-          });
-          console.log('✅ Animation groups started');
+    async function recordTurntableFrames() {
+      const total = Math.max(1, Math.round(numberOr(opts.frames, duration * fps)));
+      const shot = Object.assign({}, opts, { format, download: false });
+      const frames = [];
+      for (let i = 0; i < total; i++) {
+        if (state.cancelled || runtime.disposed) throw new Error('Turntable recording cancelled');
+        camera.alpha = startAlpha + Math.PI * 2 * turns * i / total;
+        const data = await takeScreenshot(scene, shot);
+        if (typeof opts.onFrame === 'function') {
+          opts.onFrame(data, i);
+        } else {
+          frames.push(data);
         }
-        
-        console.log('✅ Model loaded successfully:', node.name);
+        if (opts.download) {
+          const prefix = typeof opts.download === 'string' ? opts.download : 'turntable';
+          downloadUrl(data, prefix + '-' + String(i).padStart(4, '0') + '.' + SCREENSHOT_FORMATS[format].split('/')[1]);
+        }
+        progress(i + 1, total);
       }
-    } catch (error) {
-      console.error('❌ Failed to load model ' + node.name + ':', error);
+      return frames;
+    }
+
+    function recordTurntableVideo() {
+      if (typeof MediaRecorder === 'undefined' || !canvas || !canvas.captureStream) {
+        return Promise.reject(new Error('WebM recording is not supported in this browser'));
+      }
+      const mimeType = TURNTABLE_VIDEO_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+      if (!mimeType) return Promise.reject(new Error('WebM recording is not supported in this browser'));
+
+      // Record at the requested resolution by resizing the drawing buffer (CSS size is unchanged)
+      const engine = runtime.engine;
+      const resized = isFiniteNumber(opts.width) || isFiniteNumber(opts.height);
+      if (resized) {
+        engine.setSize(Math.round(numberOr(opts.width, engine.getRenderWidth())), Math.round(numberOr(opts.height, engine.getRenderHeight())));
+      }
+
+      return new Promise((resolve, reject) => {
+        const stream = canvas.captureStream(fps);
+        const recorder = new MediaRecorder(stream, {
+          mimeType,
+          videoBitsPerSecond: isFiniteNumber(opts.bitrate) ? opts.bitrate : undefined
+        });
+        const chunks = [];
+        const total = duration * 1000;
+        let elapsed = 0;
+        let observer = null;
+        const stopOnDispose = () => {
+          if (recorder.state === 'recording') recorder.stop();
+        };
+        const finish = () => {
+          const cleanup = runtime.cleanups.indexOf(stopOnDispose);
+          if (cleanup >= 0) runtime.cleanups.splice(cleanup, 1);
+          scene.onBeforeRenderObservable.remove(observer);
+          stream.getTracks().forEach(track => track.stop());
+          if (resized && !runtime.disposed) engine.resize();
+        };
+
+        recorder.ondataavailable = (event) => {
+          if (event.data && event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onerror = (event) => {
+          finish();
+          reject(event.error || new Error('WebM recording failed'));
+        };
+        recorder.onstop = () => {
+          finish();
+          if (state.cancelled || runtime.disposed) {
+            reject(new Error('Turntable recording cancelled'));
+            return;
+          }
+          const blob = new Blob(chunks, { type: 'video/webm' });
+          if (opts.download) {
+            const url = URL.createObjectURL(blob);
+            downloadUrl(url, typeof opts.download === 'string' ? opts.download : 'turntable.webm');
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+          }
+          resolve(blob);
+        };
+
+        observer = scene.onBeforeRenderObservable.add(() => {
+          if (recorder.state !== 'recording') return;
+          elapsed += scene.getEngine().getDeltaTime();
+          if (state.cancelled || runtime.disposed || elapsed >= total) {
+            camera.alpha = startAlpha + Math.PI * 2 * turns;
+            recorder.stop();
+            return;
+          }
+          camera.alpha = startAlpha + Math.PI * 2 * turns * elapsed / total;
+          progress(elapsed, total);
+        });
+        // Disposing the runtime stops the render loop, so stop the recorder directly
+        runtime.cleanups.push(stopOnDispose);
+        recorder.start();
+      });
     }
   }
 
+  // Download a still from the keyboard; shortcut: false | key | { key, ...screenshot options }
+  function setupScreenshotShortcut(runtime, shortcut) {
+    const config = typeof shortcut === 'string' ? { key: shortcut } : shortcut;
+    const key = String(config.key || 'p').toLowerCase();
+    const onKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey || String(event.key).toLowerCase() !== key) return;
+      const shot = Object.assign({}, config, { key: undefined });
+      const ext = (shot.mimeType ? shot.mimeType.split('/')[1] : String(shot.format || 'png')).toLowerCase();
+      shot.download = shot.download || 'scene-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + ext;
+      takeScreenshot(runtime.scene, shot).then(
+        () => console.log('📸 RUNTIME: Screenshot saved:', shot.download),
+        (e) => console.warn('⚠️ RUNTIME: Screenshot failed:', e)
+      );
+    };
+    runtime.canvas.addEventListener('keydown', onKeyDown);
+    runtime.cleanups.push(() => runtime.canvas.removeEventListener('keydown', onKeyDown));
+  }
+
   // Fix IBL material reflections - this is what skybox creation accidentally does right!
   function refreshMaterialsForIBL(scene) {
     console.log('🔧 Applying proper IBL material refresh (fixes reflection issues)');
@@ -583,6 +4112,321 @@
     console.log('🎉 IBL reflections fixed for all materials!');
   }
 
+  // Fog defaults match Babylon's so unset values look the same as in the editor
+  const FOG_DEFAULTS = {
+    density: 0.1,
+    color: [0.2, 0.2, 0.3],
+    start: 0,
+    end: 1000
+  };
+
+  function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  function isColorArray(value, length) {
+    return Array.isArray(value) && value.length >= length && value.slice(0, length).every(isFiniteNumber);
+  }
+
+  // Apply fog mode plus density/color/start/end, falling back to defaults for invalid values
+  function applyFogSettings(scene, env) {
+    const fm = env.fogMode;
+    scene.fogMode = 
+      fm === 'linear' ? BABYLON.Scene.FOGMODE_LINEAR :
+      fm === 'exp'    ? BABYLON.Scene.FOGMODE_EXP    :
+      fm === 'exp2'   ? BABYLON.Scene.FOGMODE_EXP2   :
+                        BABYLON.Scene.FOGMODE_NONE;
+    if (fm && !['none', 'linear', 'exp', 'exp2'].includes(fm)) {
+      console.warn('⚠️ Unknown fogMode, fog disabled:', fm);
+    }
+
+    let density = FOG_DEFAULTS.density;
+    if (env.fogDensity !== undefined && env.fogDensity !== null) {
+      if (isFiniteNumber(env.fogDensity) && env.fogDensity >= 0) {
+        density = env.fogDensity;
+      } else {
+        console.warn('⚠️ Invalid fogDensity, using default:', env.fogDensity);
+      }
+    }
+
+    let color = FOG_DEFAULTS.color;
+    if (env.fogColor !== undefined && env.fogColor !== null) {
+      if (isColorArray(env.fogColor, 3)) {
+        color = env.fogColor;
+      } else {
+        console.warn('⚠️ Invalid fogColor, using default:', env.fogColor);
+      }
+    }
+
+    let start = isFiniteNumber(env.fogStart) ? env.fogStart : FOG_DEFAULTS.start;
+    let end = isFiniteNumber(env.fogEnd) ? env.fogEnd : FOG_DEFAULTS.end;
+    if (start < 0 || end <= start) {
+      console.warn('⚠️ Invalid fog range (fogStart must be >= 0 and < fogEnd), using defaults:', { fogStart: env.fogStart, fogEnd: env.fogEnd });
+      start = FOG_DEFAULTS.start;
+      end = FOG_DEFAULTS.end;
+    }
+
+    scene.fogDensity = density;
+    scene.fogColor = new BABYLON.Color3(color[0], color[1], color[2]);
+    scene.fogStart = start;
+    scene.fogEnd = end;
+    console.log('🌫️ Fog settings applied:', { mode: fm || 'none', density, color, start, end });
+  }
+
+  // Numeric setting or fallback; unlike `value || fallback` this keeps an explicit 0
+  function numberOr(value, fallback) {
+    return isFiniteNumber(value) ? value : fallback;
+  }
+
+  const COLOR_CURVES_PROPS = [
+    'globalHue', 'globalDensity', 'globalSaturation', 'globalExposure',
+    'highlightsHue', 'highlightsDensity', 'highlightsSaturation', 'highlightsExposure',
+    'midtonesHue', 'midtonesDensity', 'midtonesSaturation', 'midtonesExposure',
+    'shadowsHue', 'shadowsDensity', 'shadowsSaturation', 'shadowsExposure'
+  ];
+
+  // Map the editor's tone mapping name to a Babylon constant, warning when this build lacks it
+  function resolveToneMappingType(type) {
+    const IPC = BABYLON.ImageProcessingConfiguration;
+    switch (type) {
+      case 'aces':
+        return IPC.TONEMAPPING_ACES;
+      case 'neutral':
+        if (typeof IPC.TONEMAPPING_KHR_PBR_NEUTRAL === 'number') {
+          return IPC.TONEMAPPING_KHR_PBR_NEUTRAL;
+        }
+        console.warn('⚠️ Neutral (Khronos PBR Neutral) tone mapping is not supported by this Babylon.js build, falling back to ACES');
+        return IPC.TONEMAPPING_ACES;
+      case 'standard':
+      case undefined:
+      case null:
+        return IPC.TONEMAPPING_STANDARD;
+      default:
+        console.warn('⚠️ Unknown toneMappingType, using standard:', type);
+        return IPC.TONEMAPPING_STANDARD;
+    }
+  }
+
+  // Load a color grading LUT: .3dl files use ColorGradingTexture, images are 2D LUT strips
+  async function loadColorGradingTexture(path, scene) {
+    const url = resolveAssetUrl(path, scene);
+    if (!url) return null;
+    const is3dl = getUrlExtension(url) === '.3dl';
+    if (is3dl && !BABYLON.ColorGradingTexture) {
+      console.warn('⚠️ ColorGradingTexture is not available in this Babylon.js build, skipping LUT:', url);
+      return null;
+    }
+    const loadUrl = await getVerifiedLoadUrl(url, scene);
+    if (!loadUrl) return null;
+    if (is3dl) {
+      return { texture: new BABYLON.ColorGradingTexture(loadUrl, scene, () => releaseLoadUrl(loadUrl, scene)), greenDepth: true };
+    }
+    const texture = new BABYLON.Texture(loadUrl, scene, { noMipmap: true, invertY: false, forcedExtension: getUrlExtension(url) || undefined });
+    releaseLoadUrlOnLoad(texture, loadUrl, scene);
+    texture.wrapU = BABYLON.Texture.CLAMP_ADDRESSMODE;
+    texture.wrapV = BABYLON.Texture.CLAMP_ADDRESSMODE;
+    return { texture, greenDepth: false };
+  }
+
+  // Apply tone mapping, exposure/contrast, color curves, color grading, vignette and dithering
+  async function applyImageProcessingSettings(scene, ip) {
+    const ipc = scene.imageProcessingConfiguration;
+
+    ipc.contrast = numberOr(ip.contrast, 1);
+    ipc.exposure = numberOr(ip.exposure, 1);
+    ipc.toneMappingEnabled = !!ip.toneMappingEnabled;
+
+    // Tone mapping type
+    ipc.toneMappingType = resolveToneMappingType(ip.toneMappingType);
+
+    // Color curves
+    ipc.colorCurvesEnabled = !!ip.colorCurvesEnabled;
+    if (ip.colorCurvesEnabled) {
+      if (!BABYLON.ColorCurves) {
+        console.warn('⚠️ ColorCurves is not available in this Babylon.js build, skipping color curves');
+        ipc.colorCurvesEnabled = false;
+      } else {
+        const curves = ipc.colorCurves || new BABYLON.ColorCurves();
+        const values = ip.colorCurves || {};
+        for (const prop of COLOR_CURVES_PROPS) {
+          if (values[prop] !== undefined) {
+            if (isFiniteNumber(values[prop])) {
+              curves[prop] = values[prop];
+            } else {
+              console.warn('⚠️ Invalid color curves value, ignored:', prop, values[prop]);
+            }
+          }
+        }
+        ipc.colorCurves = curves;
+      }
+    }
+
+    // Color grading LUT
+    if (ipc.colorGradingTexture) {
+      ipc.colorGradingTexture.dispose();
+      ipc.colorGradingTexture = null;
+    }
+    ipc.colorGradingEnabled = false;
+    if (ip.colorGradingEnabled) {
+      if (!ip.colorGradingTexture) {
+        console.warn('⚠️ Color grading enabled but no colorGradingTexture provided');
+      } else {
+        try {
+          const lut = await loadColorGradingTexture(ip.colorGradingTexture, scene);
+          if (lut) {
+            lut.texture.level = numberOr(ip.colorGradingIntensity, 1);
+            ipc.colorGradingTexture = lut.texture;
+            ipc.colorGradingWithGreenDepth = lut.greenDepth;
+            ipc.colorGradingEnabled = true;
+            console.log('🎞️ Color grading LUT applied:', ip.colorGradingTexture);
+          }
+        } catch (error) {
+          console.error('❌ Failed to load color grading LUT:', error);
+        }
+      }
+    }
+
+    // Vignette settings
+    ipc.vignetteEnabled = !!ip.vignetteEnabled;
+    if (ip.vignetteEnabled) {
+      ipc.vignetteWeight = numberOr(ip.vignetteWeight, 1);
+      ipc.vignetteStretch = numberOr(ip.vignetteStretch, 0);
+      ipc.vignetteCameraFov = numberOr(ip.vignetteFov, 1.5);
+      
+      if (ip.vignetteColor) {
+        const [r, g, b, a] = ip.vignetteColor;
+        ipc.vignetteColor = new BABYLON.Color4(r, g, b, a);
+      }
+    }
+    
+    // Dithering settings
+    ipc.ditheringEnabled = !!ip.ditheringEnabled;
+    if ('ditheringIntensity' in ipc) {
+      ipc.ditheringIntensity = numberOr(ip.ditheringIntensity, 0.5);
+    } else if (ip.ditheringEnabled) {
+      console.warn('⚠️ Dithering intensity is not supported by this Babylon.js build');
+    }
+  }
+
+  const DOF_BLUR_LEVELS = {
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High'
+  };
+
+  // Tear down pipelines created by a previous applyPostProcessingSettings call
+  function disposePostProcessing(scene) {
+    const runtime = getRuntime(scene);
+    if (!runtime) return;
+    if (runtime.ssaoPipeline) {
+      runtime.ssaoPipeline.dispose();
+      runtime.ssaoPipeline = null;
+    }
+    if (runtime.renderingPipeline) {
+      runtime.renderingPipeline.dispose();
+      runtime.renderingPipeline = null;
+    }
+  }
+
+  // Build bloom/DOF/FXAA/sharpen/chromatic aberration into a DefaultRenderingPipeline, plus SSAO2 when enabled
+  function applyPostProcessingSettings(scene, pp) {
+    disposePostProcessing(scene);
+    if (!pp || pp.enabled === false) return;
+
+    const runtime = getRuntime(scene);
+    const camera = scene.activeCamera;
+    if (!runtime || !camera) {
+      console.warn('⚠️ Post-processing requires an active camera, skipping');
+      return;
+    }
+
+    const bloom = pp.bloom || {};
+    const dof = pp.depthOfField || {};
+    const fxaa = pp.fxaa || {};
+    const sharpen = pp.sharpen || {};
+    const chromatic = pp.chromaticAberration || {};
+    const ssao = pp.ssao || {};
+
+    const needsDefaultPipeline = bloom.enabled || dof.enabled || fxaa.enabled || sharpen.enabled || chromatic.enabled || numberOr(pp.samples, 1) > 1;
+    if (needsDefaultPipeline) {
+      try {
+        const pipeline = new BABYLON.DefaultRenderingPipeline('defaultPipeline', pp.hdr !== false, scene, [camera]);
+        pipeline.samples = numberOr(pp.samples, 1);
+
+        // Bloom
+        pipeline.bloomEnabled = !!bloom.enabled;
+        if (bloom.enabled) {
+          pipeline.bloomThreshold = numberOr(bloom.threshold, 0.9);
+          pipeline.bloomWeight = numberOr(bloom.weight, 0.15);
+          pipeline.bloomKernel = numberOr(bloom.kernel, 64);
+          pipeline.bloomScale = numberOr(bloom.scale, 0.5);
+        }
+
+        // Depth of field
+        pipeline.depthOfFieldEnabled = !!dof.enabled;
+        if (dof.enabled) {
+          const level = DOF_BLUR_LEVELS[dof.blurLevel] || 'Low';
+          pipeline.depthOfFieldBlurLevel = BABYLON.DepthOfFieldEffectBlurLevel[level];
+          pipeline.depthOfField.focalLength = numberOr(dof.focalLength, 50);
+          pipeline.depthOfField.fStop = numberOr(dof.fStop, 1.4);
+          pipeline.depthOfField.focusDistance = numberOr(dof.focusDistance, 2000);
+          pipeline.depthOfField.lensSize = numberOr(dof.lensSize, 50);
+        }
+
+        // Anti-aliasing
+        pipeline.fxaaEnabled = !!fxaa.enabled;
+
+        // Sharpen
+        pipeline.sharpenEnabled = !!sharpen.enabled;
+        if (sharpen.enabled) {
+          pipeline.sharpen.edgeAmount = numberOr(sharpen.edgeAmount, 0.3);
+          pipeline.sharpen.colorAmount = numberOr(sharpen.colorAmount, 1);
+        }
+
+        // Chromatic aberration
+        pipeline.chromaticAberrationEnabled = !!chromatic.enabled;
+        if (chromatic.enabled) {
+          pipeline.chromaticAberration.aberrationAmount = numberOr(chromatic.amount, 30);
+          pipeline.chromaticAberration.radialIntensity = numberOr(chromatic.radialIntensity, 0);
+        }
+
+        runtime.renderingPipeline = pipeline;
+        console.log('🎬 Default rendering pipeline created:', {
+          bloom: pipeline.bloomEnabled,
+          depthOfField: pipeline.depthOfFieldEnabled,
+          fxaa: pipeline.fxaaEnabled,
+          sharpen: pipeline.sharpenEnabled,
+          chromaticAberration: pipeline.chromaticAberrationEnabled,
+          samples: pipeline.samples
+        });
+      } catch (error) {
+        console.error('❌ Failed to create default rendering pipeline:', error);
+      }
+    }
+
+    // Screen-space ambient occlusion
+    if (ssao.enabled) {
+      if (!BABYLON.SSAO2RenderingPipeline || !BABYLON.SSAO2RenderingPipeline.IsSupported) {
+        console.warn('⚠️ SSAO2 is not supported on this device/build (requires WebGL2), skipping ambient occlusion');
+        return;
+      }
+      try {
+        const ratio = numberOr(ssao.ratio, 0.5);
+        const pipeline = new BABYLON.SSAO2RenderingPipeline('ssao', scene, { ssaoRatio: ratio, blurRatio: numberOr(ssao.blurRatio, ratio) }, [camera]);
+        pipeline.radius = numberOr(ssao.radius, 2);
+        pipeline.totalStrength = numberOr(ssao.totalStrength, 1);
+        pipeline.samples = numberOr(ssao.samples, 16);
+        pipeline.base = numberOr(ssao.base, 0);
+        pipeline.maxZ = numberOr(ssao.maxZ, camera.maxZ);
+        pipeline.expensiveBlur = ssao.expensiveBlur !== false;
+        runtime.ssaoPipeline = pipeline;
+        console.log('🌑 SSAO2 pipeline created');
+      } catch (error) {
+        console.error('❌ Failed to create SSAO2 pipeline:', error);
+      }
+    }
+  }
+
   // Apply scene settings to the live scene
   async function applySceneSettings(scene, settings) {
     console.log('🎨 Applying scene settings:', settings);
@@ -608,19 +4452,22 @@
       
       if (env.useIBL && env.iblPath) {
         try {
-          const assetPath = 'assets/' + toRelativeAssetPath(env.iblPath);
+          const assetPath = resolveAssetUrl(env.iblPath, scene);
+          const loadUrl = assetPath && await getVerifiedLoadUrl(assetPath, scene);
+          if (!loadUrl) throw new Error('IBL asset failed its integrity check: ' + env.iblPath);
           console.log('🌍 Loading IBL for SCENE LIGHTING from asset path:', assetPath);
           
           let environmentTexture = null;
-          if (assetPath.toLowerCase().endsWith('.env')) {
+          if (getUrlExtension(assetPath) === '.env') {
             console.log('📦 Loading .env IBL texture for scene lighting...');
-            environmentTexture = BABYLON.CubeTexture.CreateFromPrefilteredData(assetPath, scene);
+            environmentTexture = BABYLON.CubeTexture.CreateFromPrefilteredData(loadUrl, scene, '.env');
           } else {
             console.log('📦 Loading .hdr IBL texture for scene lighting...');
-            environmentTexture = new BABYLON.HDRCubeTexture(assetPath, scene, 128, false, true, false, true);
+            environmentTexture = new BABYLON.HDRCubeTexture(loadUrl, scene, 128, false, true, false, true);
           }
           
           if (environmentTexture) {
+            releaseLoadUrlOnLoad(environmentTexture, loadUrl, scene);
             // CRITICAL: This applies IBL to scene lighting and material reflections
             scene.environmentTexture = environmentTexture;
             
@@ -649,47 +4496,13 @@
       }
       
       // Fog settings
-      const fm = env.fogMode;
-      scene.fogMode = 
-        fm === 'linear' ? BABYLON.Scene.FOGMODE_LINEAR :
-        fm === 'exp'    ? BABYLON.Scene.FOGMODE_EXP    :
-        fm === 'exp2'   ? BABYLON.Scene.FOGMODE_EXP2   :
-                          BABYLON.Scene.FOGMODE_NONE;
+      applyFogSettings(scene, env);
     }
     
     // Image processing settings
     const ip = settings.imageProcessing;
     if (ip && scene.imageProcessingConfiguration) {
-      const ipc = scene.imageProcessingConfiguration;
-      
-      ipc.contrast = ip.contrast || 1;
-      ipc.exposure = ip.exposure || 1;
-      ipc.toneMappingEnabled = !!ip.toneMappingEnabled;
-      
-      // Tone mapping type
-      ipc.toneMappingType = 
-        ip.toneMappingType === 'aces'    ? BABYLON.ImageProcessingConfiguration.TONEMAPPING_ACES :
-        ip.toneMappingType === 'neutral' ? BABYLON.ImageProcessingConfiguration.TONEMAPPING_ACES : // fallback
-                                           BABYLON.ImageProcessingConfiguration.TONEMAPPING_STANDARD;
-      
-      // Vignette settings
-      ipc.vignetteEnabled = !!ip.vignetteEnabled;
-      if (ip.vignetteEnabled) {
-        ipc.vignetteWeight = ip.vignetteWeight || 1;
-        ipc.vignetteStretch = ip.vignetteStretch || 0;
-        ipc.vignetteCameraFov = ip.vignetteFov || 1.5;
-        
-        if (ip.vignetteColor) {
-          const [r, g, b, a] = ip.vignetteColor;
-          ipc.vignetteColor = new BABYLON.Color4(r, g, b, a);
-        }
-      }
-      
-      // Dithering settings
-      ipc.ditheringEnabled = !!ip.ditheringEnabled;
-      if ('ditheringIntensity' in ipc) {
-        ipc.ditheringIntensity = ip.ditheringIntensity || 0.5;
-      }
+      await applyImageProcessingSettings(scene, ip);
     }
 
     // SKYBOX - VISUAL BACKDROP ONLY (NO LIGHTING/REFLECTION EFFECTS)
@@ -725,25 +4538,45 @@
         if (skyboxMaterial.diffuseTexture) { skyboxMaterial.diffuseTexture.dispose(); }
         skyboxMaterial.diffuseTexture = null;
 
-        if (sbType === 'panoramic' && env.skyboxPanoramaPath) {
-          const panoPath = 'assets/' + toRelativeAssetPath(env.skyboxPanoramaPath);
+        const panoPath = sbType === 'panoramic' && env.skyboxPanoramaPath ? getTextureUrl(env.skyboxPanoramaPath, scene) : null;
+        const panoLoadUrl = panoPath && await getVerifiedLoadUrl(panoPath, scene);
+        if (panoLoadUrl) {
           console.log('🌄 Applying panoramic skybox:', panoPath);
-          const tex = new BABYLON.Texture(panoPath, scene, false, true, BABYLON.Texture.TRILINEAR_SAMPLINGMODE);
+          const tex = new BABYLON.Texture(panoLoadUrl, scene, {
+            noMipmap: false,
+            invertY: true,
+            samplingMode: BABYLON.Texture.TRILINEAR_SAMPLINGMODE,
+            forcedExtension: getUrlExtension(panoPath) || undefined
+          });
+          releaseLoadUrlOnLoad(tex, panoLoadUrl, scene);
           tex.coordinatesMode = BABYLON.Texture.FIXED_EQUIRECTANGULAR_MODE;
           skyboxMaterial.reflectionTexture = tex;
           skybox.isVisible = true;
         } else if (sbType === 'cube' && env.skyboxTextures) {
           const faces = env.skyboxTextures;
           const order = ['px','nx','py','ny','pz','nz'];
-          if (order.every(f => faces[f])) {
-            const urls = order.map(f => 'assets/' + toRelativeAssetPath(faces[f]));
-            console.log('🧊 Applying cube skybox with faces:', urls);
-            const cube = BABYLON.CubeTexture.CreateFromImages(urls, scene);
+          const faceUrls = order.map(f => faces[f] ? resolveAssetUrl(faces[f], scene) : null);
+          // A KTX2 variant of a face set is a single cubemap file listed for all six faces
+          const variants = order.map(f => faces[f] ? getTextureStoragePath(faces[f], scene) : null);
+          const ktx2Cube = faceUrls.every(Boolean) && variants.every((v, i) => v !== faces[order[i]] && v === variants[0]) ? resolveAssetUrl(variants[0], scene) : null;
+          // A face that fails its integrity check counts as missing
+          const loadUrls = faceUrls.every(Boolean) ? await Promise.all((ktx2Cube ? [ktx2Cube] : faceUrls).map(url => getVerifiedLoadUrl(url, scene))) : [null];
+          if (loadUrls.every(Boolean)) {
+            let cube;
+            if (ktx2Cube) {
+              console.log('🧊 Applying KTX2 cube skybox:', ktx2Cube);
+              cube = new BABYLON.CubeTexture(loadUrls[0], scene, { forcedExtension: '.ktx2' });
+            } else {
+              console.log('🧊 Applying cube skybox with faces:', faceUrls);
+              cube = BABYLON.CubeTexture.CreateFromImages(loadUrls, scene);
+            }
+            loadUrls.forEach(loadUrl => releaseLoadUrlOnLoad(cube, loadUrl, scene));
             cube.coordinatesMode = BABYLON.Texture.SKYBOX_MODE;
             skyboxMaterial.reflectionTexture = cube;
             skybox.isVisible = true;
           } else {
-            console.warn('⚠️ Cube skybox incomplete; required px,nx,py,ny,pz,nz');
+            console.warn('⚠️ Cube skybox incomplete or blocked; required px,nx,py,ny,pz,nz');
+            loadUrls.filter(Boolean).forEach(loadUrl => releaseLoadUrl(loadUrl, scene));
             // Fallback to IBL if available
             if (scene.environmentTexture) {
               skyboxMaterial.reflectionTexture = scene.environmentTexture;
@@ -777,6 +4610,9 @@
       }
     }
     
+    // Post-processing pipeline (needs the active camera created in instantiateNode)
+    applyPostProcessingSettings(scene, settings.postProcessing);
+
     console.log('✅ Scene settings applied');
   }
 
@@ -799,8 +4635,10 @@
           try {
               console.log('🔍 RUNTIME: Processing property:', property, 'value:', value, 'isTexture:', isTextureProperty(property));
               
-              if (typeof value === 'string' && isTextureProperty(property)) {
-                console.log('📸 RUNTIME: Loading texture for property:', property, 'from path:', value);
+              if (isTextureSlot(material, property, value)) {
+                // Texture definitions are a path or { src, coordinatesIndex, uScale, ... }
+                const src = typeof value === 'string' ? value : value.src;
+                console.log('📸 RUNTIME: Loading texture for property:', property, 'from path:', src);
                 
                 // Store reference to original texture before replacing
                 const originalTexture = material[property];
@@ -817,7 +4655,7 @@
                 // Selective override logic (mimic viewer): avoid replacing identical GLTF textures
                 const currentPath = originalTexture ? (originalTexture.url || originalTexture.name || '') : '';
                 const currentFile = getFilenameFromUrl(currentPath);
-                const overrideFile = getFilenameFromUrl(value);
+                const overrideFile = getFilenameFromUrl(src);
                 const isEmbedded = !!(originalTexture && originalTexture.url && originalTexture.url.includes('#'));
                 const shouldApplyOverride = !originalTexture || isEmbedded || (currentFile !== overrideFile && !!overrideFile);
                 console.log('🔍 RUNTIME: Texture comparison for', property, { currentFile, overrideFile, isEmbedded, shouldApplyOverride });
@@ -826,52 +4664,43 @@
                   continue;
                 }
                 
-                const tex = loadTextureFromAssetPath(value, scene);
-                if (tex) {
-                  // CRITICAL: Copy UV channel and texture properties from original GLTF texture
-                  if (originalTexture) {
-                    // Copy UV channel settings (these preserve GLTF UV mapping)
-                    if ('coordinatesIndex' in originalTexture && typeof originalTexture.coordinatesIndex === 'number') {
-                      tex.coordinatesIndex = originalTexture.coordinatesIndex;
-                      console.log('🔄 RUNTIME: Copied coordinatesIndex (UV channel):', originalTexture.coordinatesIndex);
-                    }
-                    
-                    // Copy other important texture properties that affect UV mapping
-                    if ('uOffset' in originalTexture) tex.uOffset = originalTexture.uOffset;
-                    if ('vOffset' in originalTexture) tex.vOffset = originalTexture.vOffset;
-                    if ('uScale' in originalTexture) tex.uScale = originalTexture.uScale;
-                    if ('vScale' in originalTexture) tex.vScale = originalTexture.vScale;
-                    if ('uAng' in originalTexture) tex.uAng = originalTexture.uAng;
-                    if ('vAng' in originalTexture) tex.vAng = originalTexture.vAng;
-                    if ('wAng' in originalTexture) tex.wAng = originalTexture.wAng;
-                    
-                    // Copy wrapping modes
-                    if ('wrapU' in originalTexture) tex.wrapU = originalTexture.wrapU;
-                    if ('wrapV' in originalTexture) tex.wrapV = originalTexture.wrapV;
-                    
-                    console.log('✅ RUNTIME: Copied UV properties from original texture');
-                  } else {
-                    // No original texture to copy from (might be embedded or first time assignment)
-                    // Set reasonable defaults for common texture types
-                    if (property === 'ambientTexture' || property === 'lightmapTexture') {
-                      // Ambient/lightmap textures typically use UV2 (coordinatesIndex 1)
-                      tex.coordinatesIndex = 1;
-                      console.log('🔄 RUNTIME: Set default UV channel for', property + ': 1 (UV2)');
-                    } else {
-                      // Most other textures use UV1 (coordinatesIndex 0)
-                      tex.coordinatesIndex = 0;
-                      console.log('🔄 RUNTIME: Set default UV channel for', property + ': 0 (UV1)');
-                    }
+                // Textures are shared through the registry, so settings are decided before acquiring one
+                const settings = {};
+                if (originalTexture) {
+                  // CRITICAL: Copy UV channel, mapping and wrapping from the original GLTF texture
+                  for (const key of TEXTURE_KEY_PROPS) {
+                    if (typeof originalTexture[key] === 'number') settings[key] = originalTexture[key];
                   }
-                  
-                  material[property] = tex;
+                  console.log('🔄 RUNTIME: Copied UV properties from original texture, UV channel:', settings.coordinatesIndex);
+                } else {
+                  // No original texture to copy from (might be embedded or first time assignment)
+                  // Ambient/lightmap textures typically use UV2 (coordinatesIndex 1), most others UV1
+                  settings.coordinatesIndex = (property === 'ambientTexture' || property === 'lightmapTexture') ? 1 : 0;
+                  console.log('🔄 RUNTIME: Set default UV channel for', property + ':', settings.coordinatesIndex);
+                }
+                // Settings given explicitly in the override win over the copied ones
+                if (typeof value === 'object') Object.assign(settings, readTextureSettings(value));
+
+                const tex = acquireTexture(src, settings, scene);
+                if (tex) {
+                  setMaterialTexture(material, property, tex, scene);
                   console.log('✅ RUNTIME: Applied texture to material:', materialName + '.' + property, 'with UV channel:', tex.coordinatesIndex);
                 } else {
-                  console.warn('❌ RUNTIME: Skipping texture override due to load failure:', property, value);
+                  console.warn('❌ RUNTIME: Skipping texture override due to load failure:', property, src);
                 }
+              } else if (value && typeof value === 'object' && !Array.isArray(value) && material[property] && typeof material[property] === 'object') {
+                // Sub-configurations such as clearCoat or sheen
+                applyMaterialProperties(material[property], value, scene, materialName + '.' + property);
+                console.log('✅ RUNTIME: Applied nested properties:', materialName + '.' + property);
               } else {
-                material[property] = value;
-                console.log('✅ RUNTIME: Applied non-texture property:', materialName + '.' + property + ' = ' + value);
+                const converted = convertMaterialValue(material, property, value, scene);
+                if (material[property] instanceof BABYLON.BaseTexture) {
+                  // null clears the slot
+                  setMaterialTexture(material, property, converted, scene);
+                } else {
+                  material[property] = converted;
+                }
+                console.log('✅ RUNTIME: Applied non-texture property:', materialName + '.' + property + ' = ' + JSON.stringify(value));
               }
             
             // Handle wireframe for materials that aren't ready yet (common with imported assets)
@@ -920,4 +4749,34 @@
     return pathStr.split('/').join('_').split('\\').join('_');
   }
 
-})();
\ No newline at end of file
+  global.DreamBuilderRuntime = {
+    load
+  };
+
+  // Auto-mount the exported scene on the default canvas unless the host page opts out
+  function autoLoad() {
+    const canvas = document.getElementById('renderCanvas');
+    if (!canvas || canvas.dataset.autoload === 'false') return;
+    load({
+      canvas,
+      sceneUrl: 'scene.json',
+      urlHash: true,
+      // index.html marks the canvas when the vendor folder was missing and Babylon came from the CDN
+      vendorBaseUrl: canvas.dataset.vendorFallback === 'true' ? false : (canvas.dataset.vendorBaseUrl || 'vendor/'),
+      offlineCache: canvas.dataset.offlineCache === 'true',
+      liveReload: canvas.dataset.liveReload === 'true',
+      screenshotShortcut: canvas.dataset.screenshotShortcut === 'false' ? false : (canvas.dataset.screenshotShortcut || 'p'),
+      bridge: canvas.dataset.bridgeOrigins ? canvas.dataset.bridgeOrigins.split(/\s+/).filter(Boolean) : null,
+      loadingOverlay: document.getElementById('loadingOverlay'),
+      loadingText: document.getElementById('loadingText'),
+      loadingProgress: document.getElementById('loadingProgress')
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoLoad);
+  } else {
+    autoLoad();
+  }
+
+})(window);
@@ -0,0 +1,69 @@
+// Offline cache for exported scenes (registered by app.js when offlineCache is enabled).
+//
+// scene.json and *.json manifests are fetched network-first so edits show up as soon
+// as the page is online again; everything else (assets/, vendor/, app.js) is served
+// from the cache once it has been loaded and refreshed in the background. Only same-origin
+// requests are cached, so Babylon itself is available offline only from a vendor/ copy.
+const CACHE_NAME = 'dreambuilder-runtime-v1';
+
+// App shell cached on install; assets are added as the scene loads them
+const PRECACHE = ['./', 'index.html', 'app.js', 'scene.json'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches of older runtime versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request, event));
+  }
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request, { cache: 'no-store' });
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // Query strings (cache busting) do not create separate entries
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const update = fetch(request).then((response) => {
+    if (response.ok) return cache.put(request, response.clone()).then(() => response);
+    return response;
+  });
+
+  if (cached) {
+    // Serve the cached copy now and refresh it for the next visit
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}